@@ -0,0 +1,21 @@
+// Delinquency policy, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  enabled: process.env.DELINQUENCY_JOB_ENABLED !== 'false',
+  intervalMinutes: number(process.env.DELINQUENCY_INTERVAL_MINUTES, 60),
+  // Days after the due date before an installment is treated as late
+  graceDays: number(process.env.DELINQUENCY_GRACE_DAYS, 5),
+  // Flat fee charged once when an installment goes late
+  lateFee: number(process.env.LATE_FEE_AMOUNT, 50),
+  // Annual rate (%) charged daily on the overdue installment amount
+  penaltyInterestRate: number(process.env.PENALTY_INTEREST_RATE, 0),
+  // Days past due at which an Active loan is moved to Defaulted
+  defaultAfterDays: number(process.env.DEFAULT_AFTER_DAYS, 90),
+  // Credit lines are billed by the same run: days from a statement to its
+  // minimum payment's due date
+  creditLinePaymentDueDays: number(process.env.CREDIT_LINE_PAYMENT_DUE_DAYS, 21)
+};
@@ -0,0 +1,17 @@
+// KYC document settings, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  maxFileSizeMb: number(process.env.KYC_MAX_FILE_MB, 5),
+  // Checked against the file's content as well as its declared type
+  allowedMimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+  // A user is verified once each group has an approved document: proof of
+  // identity and proof of income
+  requiredDocuments: [
+    ['national_id', 'passport'],
+    ['payslip', 'bank_statement']
+  ]
+};
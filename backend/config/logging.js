@@ -0,0 +1,19 @@
+// Logging settings, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // error | warn | info | debug
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+  dir: process.env.LOG_DIR || 'logs',
+  accessLog: {
+    enabled: process.env.ACCESS_LOG_ENABLED !== 'false',
+    filename: process.env.ACCESS_LOG_FILE || 'access.log',
+    // rotating-file-stream notation: '1d', '12h'; '10M', '1G'
+    interval: process.env.ACCESS_LOG_ROTATE_INTERVAL || '1d',
+    size: process.env.ACCESS_LOG_MAX_SIZE || '10M',
+    maxFiles: number(process.env.ACCESS_LOG_MAX_FILES, 14)
+  }
+};
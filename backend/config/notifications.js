@@ -0,0 +1,16 @@
+// Notification settings, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  enabled: process.env.NOTIFICATION_JOB_ENABLED !== 'false',
+  intervalMinutes: number(process.env.NOTIFICATION_INTERVAL_MINUTES, 15),
+  // Default lead time for due-date reminders; users can override it
+  reminderDaysBefore: number(process.env.NOTIFY_REMINDER_DAYS, 3),
+  maxAttempts: number(process.env.NOTIFY_MAX_ATTEMPTS, 5),
+  // Retry delay doubles after each failed attempt, starting here
+  retryBaseMinutes: number(process.env.NOTIFY_RETRY_BASE_MINUTES, 5),
+  batchSize: number(process.env.NOTIFY_BATCH_SIZE, 100)
+};
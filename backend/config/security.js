@@ -0,0 +1,57 @@
+// HTTP security pipeline and login throttling, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const enabled = name => process.env[name] !== 'false';
+
+// Express 'trust proxy': a hop count, or true/false. Needed behind a load
+// balancer so rate limits key on the client address, not the proxy's.
+const trustProxy = (value) => {
+  if (value === undefined || value === '') return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return number(value, value);
+};
+
+const minutes = value => value * 60 * 1000;
+
+module.exports = {
+  trustProxy: trustProxy(process.env.TRUST_PROXY),
+
+  helmet: enabled('SECURITY_HELMET'),
+  mongoSanitize: enabled('SECURITY_MONGO_SANITIZE'),
+  hpp: enabled('SECURITY_HPP'),
+  xssClean: enabled('SECURITY_XSS_CLEAN'),
+
+  // Per-IP request limits
+  rateLimits: {
+    enabled: enabled('RATE_LIMIT_ENABLED'),
+    api: {
+      windowMs: minutes(number(process.env.RATE_LIMIT_WINDOW_MINUTES, 15)),
+      limit: number(process.env.RATE_LIMIT_MAX, 300)
+    },
+    // Only failed attempts count towards the login limit
+    login: {
+      windowMs: minutes(number(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 15)),
+      limit: number(process.env.LOGIN_RATE_LIMIT_MAX, 20)
+    },
+    signup: {
+      windowMs: minutes(number(process.env.SIGNUP_RATE_LIMIT_WINDOW_MINUTES, 60)),
+      limit: number(process.env.SIGNUP_RATE_LIMIT_MAX, 5)
+    },
+    // Verification and password reset codes, per account (or per IP when signed out)
+    otp: {
+      windowMs: minutes(number(process.env.OTP_RATE_LIMIT_WINDOW_MINUTES, 15)),
+      limit: number(process.env.OTP_RATE_LIMIT_MAX, 5)
+    }
+  },
+
+  // Per-account lockout after repeated failed logins
+  lockout: {
+    maxAttempts: number(process.env.LOGIN_MAX_ATTEMPTS, 5),
+    // The first lock lasts this long; each further lock doubles it
+    baseMinutes: number(process.env.LOGIN_LOCK_BASE_MINUTES, 15),
+    maxMinutes: number(process.env.LOGIN_LOCK_MAX_MINUTES, 24 * 60)
+  }
+};
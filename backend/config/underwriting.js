@@ -0,0 +1,24 @@
+// Underwriting policy, overridable through the environment
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const list = (value, fallback) => (value ? value.split(',').map(item => item.trim()) : fallback);
+
+module.exports = {
+  // When false every non-declined application is referred to staff
+  autoApprove: process.env.UW_AUTO_APPROVE !== 'false',
+  // Debt-to-income (all monthly installments / monthly income)
+  maxDtiApprove: number(process.env.UW_MAX_DTI_APPROVE, 0.35),
+  maxDtiRefer: number(process.env.UW_MAX_DTI_REFER, 0.5),
+  minMonthlyIncome: number(process.env.UW_MIN_MONTHLY_INCOME, 1000),
+  // How far stated monthly income may exceed annualIncome / 12 before referral
+  incomeTolerance: number(process.env.UW_INCOME_TOLERANCE, 0.25),
+  minCreditScoreApprove: number(process.env.UW_MIN_CREDIT_SCORE_APPROVE, 600),
+  minCreditScore: number(process.env.UW_MIN_CREDIT_SCORE, 500),
+  maxOpenLoans: number(process.env.UW_MAX_OPEN_LOANS, 3),
+  autoApproveMaxAmount: number(process.env.UW_AUTO_APPROVE_MAX_AMOUNT, 50000),
+  declineEmploymentStatuses: list(process.env.UW_DECLINE_EMPLOYMENT, ['unemployed']),
+  referEmploymentStatuses: list(process.env.UW_REFER_EMPLOYMENT, ['student'])
+};
@@ -1,121 +0,0 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const bcrypt = require('bcryptjs'); // Add this for password hashing
-
-exports.login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Please provide email and password' 
-      });
-    }
-
-    // Find user with password field
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Remove password before sending user data
-    const userWithoutPassword = user.toObject();
-    delete userWithoutPassword.password;
-
-    res.json({
-      success: true,
-      token,
-      user: userWithoutPassword
-    });
-
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during authentication'
-    });
-  }
-};
-
-exports.signup = async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
-
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, email and password'
-      });
-    }
-
-    // Check if user exists
-    let user = await User.findOne({ email });
-    if (user) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists'
-      });
-    }
-
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
-    user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: role || 'user'
-    });
-
-    await user.save();
-
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Remove password before sending response
-    const userWithoutPassword = user.toObject();
-    delete userWithoutPassword.password;
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: userWithoutPassword
-    });
-
-  } catch (err) {
-    console.error('Signup error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
-    });
-  }
-};
\ No newline at end of file
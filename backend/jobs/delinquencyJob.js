@@ -0,0 +1,31 @@
+const config = require('../config/delinquency');
+const { runDelinquencyCheck, isDelinquencyCheckRunning } = require('../services/delinquency');
+const logger = require('../utils/logger');
+
+let timer = null;
+
+// One run at a time; a tick that lands while a run (scheduled or started
+// through the API) is still going is skipped
+const tick = async () => {
+  if (isDelinquencyCheckRunning()) return;
+  try {
+    const totals = await runDelinquencyCheck();
+    logger.info('Delinquency check complete', totals);
+  } catch (err) {
+    logger.error('Delinquency check error', { err });
+  }
+};
+
+const startDelinquencyJob = () => {
+  if (timer || !config.enabled) return;
+  timer = setInterval(tick, config.intervalMinutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+const stopDelinquencyJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startDelinquencyJob, stopDelinquencyJob };
@@ -0,0 +1,38 @@
+const config = require('../config/notifications');
+const { dispatchPending } = require('../services/notifications');
+const { scheduleReminders } = require('../services/notifications/reminders');
+const logger = require('../utils/logger');
+
+let timer = null;
+let running = false;
+
+// Queue any reminders that have come due, then deliver everything queued
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const reminders = await scheduleReminders();
+    const delivery = await dispatchPending();
+    if (reminders.dueSoon || reminders.overdue || delivery.sent || delivery.failed) {
+      logger.info('Notification run complete', { ...reminders, ...delivery });
+    }
+  } catch (err) {
+    logger.error('Notification run error', { err });
+  } finally {
+    running = false;
+  }
+};
+
+const startNotificationJob = () => {
+  if (timer || !config.enabled) return;
+  timer = setInterval(tick, config.intervalMinutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+const stopNotificationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startNotificationJob, stopNotificationJob };
@@ -0,0 +1,43 @@
+const path = require('path');
+const morgan = require('morgan');
+const rfs = require('rotating-file-stream');
+const config = require('../config/logging');
+const { redactUrl } = require('../utils/logger');
+
+// One JSON line per request, written to a rotating file under the log directory
+const format = (tokens, req, res) => JSON.stringify({
+  time: new Date().toISOString(),
+  requestId: req.id,
+  method: tokens.method(req, res),
+  url: redactUrl(tokens.url(req, res)),
+  status: Number(tokens.status(req, res)) || null,
+  responseTimeMs: Number(tokens['response-time'](req, res)) || null,
+  contentLength: Number(tokens.res(req, res, 'content-length')) || 0,
+  ip: req.ip,
+  userAgent: tokens['user-agent'](req, res),
+  referrer: tokens.referrer(req, res),
+  ...(req.user && { userId: req.user._id, userType: req.userType })
+});
+
+let stream = null;
+
+const accessLog = () => {
+  if (!config.accessLog.enabled) return (req, res, next) => next();
+
+  stream = rfs.createStream(config.accessLog.filename, {
+    path: path.resolve(__dirname, '..', config.dir),
+    interval: config.accessLog.interval,
+    size: config.accessLog.size,
+    maxFiles: config.accessLog.maxFiles,
+    compress: 'gzip'
+  });
+
+  return morgan(format, { stream });
+};
+
+const closeAccessLog = () => {
+  if (stream) stream.end();
+  stream = null;
+};
+
+module.exports = { accessLog, closeAccessLog };
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Staff = require('../models/Staff');
+const { setActor } = require('../utils/requestContext');
+const { UnauthorizedError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 const authenticate = async (req, res, next) => {
   try {
@@ -7,34 +11,37 @@ const authenticate = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'No token, authorization denied' 
-      });
+      throw new UnauthorizedError('No token, authorization denied');
     }
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
+    // Staff tokens carry type 'staff'; anything else is a borrower token
+    const isStaff = decoded.type === 'staff';
+    const user = isStaff
+      ? await Staff.findById(decoded.id).select('+tokenVersion')
+      : await User.findById(decoded.id).select('-password +tokenVersion');
     
-    if (!user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'User not found' 
-      });
+    if (!user || (isStaff && !user.active)) {
+      throw new UnauthorizedError('User not found');
+    }
+
+    // Tokens issued before a logout-all or password reset are no longer valid
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      throw new UnauthorizedError('Session has been revoked', { code: 'SESSION_REVOKED' });
     }
 
     req.user = user;
+    req.userType = isStaff ? 'staff' : 'user';
+    setActor({ id: user._id, type: req.userType, role: user.role });
     next();
   } catch (err) {
-    console.error('Authentication error:', err.message);
-    res.status(401).json({ 
-      success: false,
-      message: 'Token is not valid' 
-    });
+    logger.warn('Authentication failed', { reason: err.message });
+    // JWT errors are mapped to 401 by the error middleware; anything else
+    // (e.g. the database being down) is not the client's fault
+    next(err);
   }
 };
 
-module.exports = authenticate;
\ No newline at end of file
+module.exports = authenticate;
@@ -0,0 +1,32 @@
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Roles that only a Staff account can hold. A borrower document carrying one
+// of these (e.g. a legacy User with role 'admin') is not treated as staff.
+const STAFF_ROLES = ['officer', 'admin'];
+
+// Restrict a route to the given roles. Must run after authenticate.
+// Borrower roles: user, premium. Staff roles: officer, admin.
+const authorize = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Not authenticated'));
+    }
+
+    const { role } = req.user;
+    const isStaffRole = STAFF_ROLES.includes(role);
+
+    if (!roles.includes(role) || isStaffRole !== (req.userType === 'staff')) {
+      return next(new ForbiddenError('You do not have permission to perform this action'));
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator
+  middleware.roles = roles;
+  return middleware;
+};
+
+authorize.STAFF_ROLES = STAFF_ROLES;
+
+module.exports = authorize;
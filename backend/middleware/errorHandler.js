@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { isCelebrateError } = require('celebrate');
+const multer = require('multer');
+const { AppError, NotFoundError, PayloadTooLargeError, BadRequestError } = require('../utils/errors');
+const { formatValidationError } = require('../validation');
+const logger = require('../utils/logger');
+
+const JWT_ERRORS = ['JsonWebTokenError', 'NotBeforeError'];
+
+// Errors from libraries and Mongoose, mapped onto the AppError shape.
+// Returns null for anything unexpected, which becomes a 500.
+const fromKnownError = (err) => {
+  if (isCelebrateError(err)) {
+    return new AppError('Validation failed', {
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      errors: formatValidationError(err)
+    });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError('Validation failed', {
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      errors: Object.values(err.errors).map(error => ({
+        field: error.path,
+        message: error.name === 'CastError' ? `${error.path} is invalid` : error.message
+      }))
+    });
+  }
+
+  // A malformed id can never match a document
+  if (err instanceof mongoose.Error.CastError) {
+    if (err.kind === 'ObjectId') return new NotFoundError('Resource not found');
+    return new AppError('Validation failed', {
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: err.path, message: `${err.path} is invalid` }]
+    });
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length ? `A record with this ${fields.join(', ')} already exists` : 'Duplicate record',
+      {
+        status: 409,
+        code: 'DUPLICATE_KEY',
+        errors: fields.map(field => ({ field, message: `${field} is already in use` }))
+      }
+    );
+  }
+
+  if (err instanceof multer.MulterError) {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new PayloadTooLargeError('File is too large', { code: 'FILE_TOO_LARGE' })
+      : new BadRequestError(err.field ? `${err.message}: ${err.field}` : err.message, { code: 'INVALID_UPLOAD' });
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return new AppError('Token has expired', { status: 401, code: 'TOKEN_EXPIRED' });
+  }
+  if (JWT_ERRORS.includes(err.name)) {
+    return new AppError('Token is not valid', { status: 401, code: 'INVALID_TOKEN' });
+  }
+
+  // Body parser failures (malformed JSON, body too large) carry a safe status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return err.type === 'entity.parse.failed'
+      ? new AppError('Malformed JSON body', { status: 400, code: 'MALFORMED_JSON' })
+      : new AppError(err.message, { status: err.status, code: 'BAD_REQUEST' });
+  }
+
+  return null;
+};
+
+// Catch-all for requests no route matched
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Resource not found'));
+};
+
+// The single place errors become responses. Mounted last.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = err instanceof AppError ? err : fromKnownError(err);
+
+  // requestId is passed explicitly: errors raised before the request context
+  // is set up (e.g. by the body parser) would otherwise log without it
+  const request = { requestId: req.id, method: req.method, url: logger.redactUrl(req.originalUrl) };
+  if (!error || error.status >= 500) {
+    logger.error('Unhandled error', { err, ...request });
+  } else {
+    // `code` would be redacted as a secret-looking key
+    logger.debug('Request failed', { ...request, status: error.status, errorCode: error.code, message: error.message });
+  }
+
+  const status = error ? error.status : 500;
+  // Unexpected errors only reveal their message in development
+  const message = error
+    ? error.message
+    : process.env.NODE_ENV === 'development' ? err.message : 'Internal server error';
+
+  if (error?.headers) res.set(error.headers);
+
+  res.status(status).json({
+    success: false,
+    code: error ? error.code : 'INTERNAL_ERROR',
+    message,
+    ...(error?.errors?.length && { errors: error.errors }),
+    ...error?.extra,
+    requestId: req.id
+  });
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { BadRequestError, ConflictError, UnprocessableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+// Stable JSON so that key order in the body does not change the fingerprint
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.originalUrl}\n${canonical(req.body || {})}`)
+  .digest('hex');
+
+const inProgress = () => new ConflictError(
+  'A request with this Idempotency-Key is still being processed',
+  { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' }
+);
+
+// Honour an optional Idempotency-Key header on a mutating route. Must run
+// after authenticate.
+//   - first use: the request runs and its response is stored for the TTL
+//   - retry with the same body: the stored response is replayed
+//   - same key with a different body: 422
+//   - retry while the first request is still running: 409
+// Server errors (5xx) are not stored, so the client can retry with the same key.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new BadRequestError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+  }
+
+  const scope = `${req.userType || 'anonymous'}:${req.user?._id || req.ip}:${req.method}:${req.baseUrl}${req.route.path}`;
+  const fingerprint = fingerprintOf(req);
+
+  try {
+    const existing = await IdempotencyKey.findOne({ scope, key });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return next(new UnprocessableError(
+          'Idempotency-Key has already been used with a different request',
+          { code: 'IDEMPOTENCY_KEY_REUSED' }
+        ));
+      }
+      if (existing.status === 'processing') {
+        return next(inProgress());
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    await IdempotencyKey.create({
+      key,
+      scope,
+      fingerprint,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    // Lost a race with an identical request that just claimed the key
+    if (err.code === 11000) {
+      return next(inProgress());
+    }
+    return next(err);
+  }
+
+  // Capture the response once the handler sends it
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const record = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ scope, key })
+      : IdempotencyKey.updateOne(
+        { scope, key },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+    record.catch(err => logger.error('Failed to store idempotent response', { err }));
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = idempotency;
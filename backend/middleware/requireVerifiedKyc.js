@@ -0,0 +1,14 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Block borrowers whose KYC documents have not been approved. Must run after authenticate.
+const requireVerifiedKyc = (req, res, next) => {
+  if (req.user?.kycStatus !== 'verified') {
+    return next(new ForbiddenError('Your identity documents must be verified before you can continue', {
+      code: 'KYC_NOT_VERIFIED',
+      extra: { kycStatus: req.user?.kycStatus || 'unverified' }
+    }));
+  }
+  next();
+};
+
+module.exports = requireVerifiedKyc;
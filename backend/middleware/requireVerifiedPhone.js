@@ -0,0 +1,11 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Block borrowers whose phone number has not been verified. Must run after authenticate.
+const requireVerifiedPhone = (req, res, next) => {
+  if (!req.user?.phoneVerified) {
+    return next(new ForbiddenError('Please verify your phone number before continuing', { code: 'PHONE_NOT_VERIFIED' }));
+  }
+  next();
+};
+
+module.exports = requireVerifiedPhone;
@@ -0,0 +1,63 @@
+const helmet = require('helmet');
+const { rateLimit } = require('express-rate-limit');
+const mongoSanitize = require('express-mongo-sanitize');
+const hpp = require('hpp');
+const xss = require('xss-clean');
+const config = require('../config/security');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Request sanitization, in the order it has to run: after the body parsers,
+// before any route sees req.body / req.query
+const securityPipeline = () => [
+  config.helmet && helmet(),
+  // Strips keys starting with $ or containing . so bodies cannot smuggle query operators
+  config.mongoSanitize && mongoSanitize(),
+  // Repeated query parameters collapse to the last value
+  config.hpp && hpp(),
+  config.xssClean && xss()
+].filter(Boolean);
+
+const passThrough = (req, res, next) => next();
+
+// Build a per-IP (or custom key) limiter from one of the config.rateLimits entries
+const limiter = ({ windowMs, limit }, message, options = {}) => {
+  if (!config.rateLimits.enabled) return passThrough;
+
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    // Headers (RateLimit, Retry-After) are already set when this runs
+    handler: (req, res, next) => next(new TooManyRequestsError(message, { code: 'RATE_LIMITED' })),
+    ...options
+  });
+};
+
+const apiLimiter = limiter(config.rateLimits.api, 'Too many requests, please try again later');
+
+const loginLimiter = limiter(
+  config.rateLimits.login,
+  'Too many failed login attempts from this address, please try again later',
+  { skipSuccessfulRequests: true }
+);
+
+const signupLimiter = limiter(
+  config.rateLimits.signup,
+  'Too many accounts created from this address, please try again later'
+);
+
+// Signed-in requests are limited per account, others per address
+const otpLimiter = limiter(
+  config.rateLimits.otp,
+  'Too many verification attempts, please try again later',
+  { keyGenerator: req => (req.user ? `${req.userType}:${req.user._id}` : req.ip) }
+);
+
+module.exports = {
+  securityPipeline,
+  apiLimiter,
+  loginLimiter,
+  signupLimiter,
+  otpLimiter
+};
@@ -0,0 +1,31 @@
+const { AsyncResource } = require('async_hooks');
+const multer = require('multer');
+const config = require('../config/kyc');
+const { UnsupportedMediaTypeError } = require('../utils/errors');
+
+// Multipart upload of a single KYC document in the `file` field. Files are
+// held in memory (they are small and capped) so the service can check and
+// hash them before they reach storage.
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxFileSizeMb * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new UnsupportedMediaTypeError(`Only ${config.allowedMimeTypes.join(', ')} files are accepted`, {
+        code: 'UNSUPPORTED_FILE_TYPE'
+      }));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Multer resumes from the request stream's callbacks, outside the request
+// context (see utils/requestContext) - bind `next` back into it
+const uploadKycDocument = (req, res, next) => {
+  kycUpload(req, res, AsyncResource.bind(next));
+};
+
+module.exports = { uploadKycDocument };
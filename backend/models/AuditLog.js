@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to audited models. Entries can be
+// created but never modified or removed through the application.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: mongoose.Schema.Types.ObjectId,
+    type: {
+      type: String,
+      enum: ['user', 'staff', 'system'],
+      default: 'system'
+    },
+    role: String
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  requestId: String
+}, { timestamps: { createdAt: true, updatedAt: false }, versionKey: false });
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(method => {
+  AuditLogSchema.pre(method, { document: false, query: true }, rejectChange);
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
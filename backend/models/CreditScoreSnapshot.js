@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A dated record of a user's score, kept for the score-history endpoint
+const CreditScoreSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 300,
+    max: 850
+  },
+  scoreRange: String,
+  factors: {
+    paymentHistory: Number,
+    amountsOwed: Number,
+    historyLength: Number,
+    creditMix: Number,
+    newCredit: Number
+  },
+  reasons: [{
+    _id: false,
+    code: String,
+    message: String,
+    impact: {
+      type: String,
+      enum: ['positive', 'negative']
+    }
+  }]
+}, { timestamps: { createdAt: true, updatedAt: false }, versionKey: false });
+
+CreditScoreSnapshotSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditScoreSnapshot', CreditScoreSnapshotSchema);
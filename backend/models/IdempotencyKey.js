@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a request made with an Idempotency-Key header. Keys are
+// scoped to the caller and route, and expire after a TTL.
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Who made the request and where - the same key may be reused elsewhere
+  scope: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true, versionKey: false });
+
+IdempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+
+const DOCUMENT_TYPES = ['national_id', 'passport', 'payslip', 'bank_statement', 'proof_of_address'];
+
+// An identity or income document a user uploaded for KYC, and its review.
+// The file itself lives in the storage backend (services/storage).
+const KycDocumentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set when the document supports a particular application
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  documentType: {
+    type: String,
+    enum: { values: DOCUMENT_TYPES, message: 'Invalid document type' },
+    required: [true, 'Document type is required']
+  },
+  originalName: String,
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // sha256 of the file contents, hex
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage: {
+    backend: { type: String, required: true },
+    key: { type: String, required: true }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  reviewedAt: Date,
+  reviewNotes: String
+}, { timestamps: true });
+
+KycDocumentSchema.index({ user: 1, checksum: 1 });
+
+KycDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+KycDocumentSchema.plugin(auditPlugin, { entityType: 'KycDocument' });
+
+module.exports = mongoose.model('KycDocument', KycDocumentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const LenderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lender name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Lender name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Lender code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, 'Lender code must be 2-20 letters, digits, dashes or underscores']
+  },
+  description: String,
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Lender', LenderSchema);
@@ -1,5 +1,172 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 const validator = require('validator');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const {
+  monthlyInstallment,
+  buildAmortizationSchedule,
+  quotePayoff,
+  rebateUnearnedInterest,
+  restructureSchedule,
+  installmentDue,
+  addMonths
+} = require('../utils/amortization');
+const { accrueInterest, applyRepayment, closeStatements } = require('../utils/creditLine');
+
+// One row of a repayment schedule
+const InstallmentSchema = new mongoose.Schema({
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  principal: Number,
+  interest: Number,
+  // Principal still owed after this installment is paid
+  balance: Number,
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  penaltyInterest: {
+    type: Number,
+    default: 0
+  },
+  lateFeeAssessedAt: Date,
+  penaltyAccruedThrough: Date,
+  // Capitalized: closed unpaid by a restructuring, which moved what was owed
+  // (capitalizedAmount) into the new schedule
+  status: {
+    type: String,
+    enum: ['Pending', 'Paid', 'Late', 'Partial', 'Capitalized'],
+    default: 'Pending'
+  },
+  paidDate: Date,
+  capitalizedAt: Date,
+  capitalizedAmount: Number,
+  transactionId: String
+});
+
+// Installment statuses with nothing left to pay
+const CLOSED_INSTALLMENT_STATUSES = ['Paid', 'Capitalized'];
+
+const MAX_LOAN_TERM = 60;
+
+const LOAN_PURPOSES = ['Home', 'Car', 'Education', 'Business', 'Personal', 'Medical', 'Debt Consolidation'];
+
+const COLLATERAL_TYPES = ['Vehicle', 'Property', 'Land', 'Livestock', 'Equipment', 'Savings', 'Other'];
+
+// An asset pledged against the loan. Released collateral no longer secures it.
+const CollateralSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: { values: COLLATERAL_TYPES, message: 'Invalid collateral type' },
+    required: [true, 'Collateral type is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Collateral description is required'],
+    trim: true,
+    maxlength: [500, 'Collateral description cannot exceed 500 characters']
+  },
+  valuation: {
+    type: Number,
+    required: [true, 'Collateral valuation is required'],
+    min: [1, 'Collateral valuation must be positive']
+  },
+  valuationDate: {
+    type: Date,
+    required: [true, 'Collateral valuation date is required']
+  },
+  lienStatus: {
+    type: String,
+    enum: ['Pending', 'Registered', 'Released'],
+    default: 'Pending'
+  },
+  lienUpdatedAt: Date
+});
+
+// A registered user who agrees to repay up to `guaranteedAmount` if the
+// borrower does not. The loan cannot be approved until every guarantor accepts.
+const GuarantorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  guaranteedAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Guaranteed amount must be positive']
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Accepted', 'Declined'],
+    default: 'Pending'
+  },
+  respondedAt: Date,
+  declineReason: String
+});
+
+// A movement on a revolving credit line
+const CreditTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['draw', 'repayment', 'interest'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  reference: String,
+  description: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Drawn balance after the movement
+  drawnBalance: Number
+});
+
+// Running state of a revolving credit line (see utils/creditLine). Its
+// repaymentSchedule only holds the minimum payment of each statement.
+const CreditLineSchema = new mongoose.Schema({
+  drawnBalance: { type: Number, default: 0 },
+  interestBalance: { type: Number, default: 0 },
+  accruedInterest: { type: Number, default: 0 },
+  // Late fees and penalty interest on the minimum payments that have been paid
+  feesPaid: { type: Number, default: 0 },
+  interestAccruedThrough: Date,
+  openedAt: Date,
+  // No draws after this; what is owed is still repaid through minimum payments
+  drawPeriodEndsAt: Date,
+  nextStatementDate: Date,
+  statementsIssued: { type: Number, default: 0 },
+  // Copied from the product when the application is made
+  minimumPaymentPercent: Number,
+  minimumPaymentFloor: Number,
+  lastStatement: {
+    date: Date,
+    balance: Number,
+    interestBilled: Number,
+    minimumPayment: Number,
+    dueDate: Date
+  },
+  transactions: [CreditTransactionSchema]
+}, { _id: false });
 
 const LoanSchema = new mongoose.Schema({
   user: {
@@ -19,7 +186,7 @@ const LoanSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Loan purpose is required'],
     enum: {
-      values: ['Home', 'Car', 'Education', 'Business', 'Personal', 'Medical', 'Debt Consolidation'],
+      values: LOAN_PURPOSES,
       message: 'Invalid loan purpose'
     },
     index: true
@@ -28,11 +195,11 @@ const LoanSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Loan term is required'],
     min: [1, 'Minimum loan term is 1 month'],
-    max: [60, 'Maximum loan term is 60 months']
+    max: [MAX_LOAN_TERM, `Maximum loan term is ${MAX_LOAN_TERM} months`]
   },
   interestRate: {
     type: Number,
-    min: [1, 'Minimum interest rate is 1%'],
+    min: [0, 'Interest rate cannot be negative'],
     max: [25, 'Maximum interest rate is 25%'],
     default: 8.5
   },
@@ -45,14 +212,29 @@ const LoanSchema = new mongoose.Schema({
     required: [true, 'Employment status is required'],
     enum: ['employed', 'self-employed', 'student', 'retired', 'unemployed']
   },
-  lenderId: {
-    type: String,
-    default: null
+  lender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lender',
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct'
   },
+  // Copied from the lender when the application is made
   lenderName: {
     type: String,
     default: 'General Application'
   },
+  // Term: a fixed amount repaid on an amortization schedule. Credit: a
+  // revolving line up to creditLimit (the loan amount), drawn and repaid at will.
+  loanType: {
+    type: String,
+    enum: ['Term', 'Credit'],
+    default: 'Term'
+  },
+  creditLimit: Number,
+  creditLine: CreditLineSchema,
   status: {
     type: String,
     enum: {
@@ -62,29 +244,121 @@ const LoanSchema = new mongoose.Schema({
     default: 'Pending',
     index: true
   },
-  repaymentSchedule: [{
-    dueDate: {
-      type: Date,
-      required: true
+  repaymentSchedule: [InstallmentSchema],
+  collateral: [CollateralSchema],
+  guarantors: [GuarantorSchema],
+  // Set on a refinance application: the borrower's loans it pays off when
+  // disbursed. Only the rest of the loan amount reaches the borrower.
+  refinance: {
+    loans: [{
+      _id: false,
+      loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+      },
+      quotedPayoff: Number,
+      settledAmount: Number,
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      }
+    }],
+    quotedAt: Date,
+    totalPayoff: Number,
+    netDisbursement: Number,
+    settledAt: Date
+  },
+  // Set on a loan paid off by a refinance
+  refinancedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Set once the schedule has been rebuilt by a restructuring; shown on credit reports
+  restructured: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  restructuredAt: Date,
+  scheduleVersion: {
+    type: Number,
+    default: 1
+  },
+  // Schedules replaced by restructurings, oldest first, with what replaced them
+  scheduleHistory: [{
+    version: Number,
+    interestRate: Number,
+    loanTerm: Number,
+    schedule: [InstallmentSchema],
+    replacedAt: Date,
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
     },
-    amount: {
-      type: Number,
-      required: true
+    reason: String,
+    changes: {
+      extendTermMonths: Number,
+      interestRate: Number,
+      holidayMonths: Number
     },
-    status: {
+    capitalizedArrears: Number,
+    capitalizedInterest: Number,
+    newPrincipal: Number
+  }],
+  underwriting: {
+    decision: {
       type: String,
-      enum: ['Pending', 'Paid', 'Late', 'Partial'],
-      default: 'Pending'
+      enum: ['approve', 'refer', 'decline']
     },
-    paidDate: Date,
-    transactionId: String
-  }],
+    dti: Number,
+    monthlyIncome: Number,
+    proposedInstallment: Number,
+    existingInstallments: Number,
+    reasons: [{
+      _id: false,
+      code: String,
+      message: String,
+      outcome: {
+        type: String,
+        enum: ['refer', 'decline']
+      }
+    }],
+    evaluatedAt: Date
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'Staff'
   },
   approvedAt: Date,
   rejectionReason: String,
+  disbursedAt: Date,
+  completedAt: Date,
+  defaultedAt: Date,
+  defaultReason: String,
+  daysPastDue: {
+    type: Number,
+    default: 0
+  },
+  delinquencyBucket: {
+    type: String,
+    enum: ['Current', '1-30', '31-60', '61-90', '90+'],
+    default: 'Current',
+    index: true
+  },
+  delinquencyCheckedAt: Date,
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -101,53 +375,321 @@ LoanSchema.index({ user: 1, status: 1 });
 LoanSchema.index({ createdAt: -1 });
 LoanSchema.index({ loanAmount: 1 });
 LoanSchema.index({ loanPurpose: 'text' });
+LoanSchema.index({ 'guarantors.user': 1 });
+
+// Virtual property for monthly payment. A restructured loan's installment
+// comes from its rebuilt schedule rather than the original terms, and a
+// credit line's is the minimum payment of its latest statement.
+LoanSchema.virtual('monthlyPayment').get(function() {
+  if ((this.restructured || this.loanType === 'Credit') && this.repaymentSchedule) {
+    const next = this.repaymentSchedule.find(installment => !CLOSED_INSTALLMENT_STATUSES.includes(installment.status));
+    return next ? next.amount : 0;
+  }
+  const payment = monthlyInstallment(this.loanAmount, this.interestRate, this.loanTerm);
+  return Math.round(payment * 100) / 100;
+});
 
 // Virtual property for total repayment amount
 LoanSchema.virtual('totalRepayment').get(function() {
-  const monthlyInterestRate = this.interestRate / 100 / 12;
-  const payment = this.loanAmount * 
-    (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, this.loanTerm)) / 
-    (Math.pow(1 + monthlyInterestRate, this.loanTerm) - 1);
-  return payment * this.loanTerm;
+  if (this.repaymentSchedule && this.repaymentSchedule.length) {
+    const total = this.repaymentSchedule.reduce((sum, installment) => sum + installment.amount, 0);
+    return Math.round(total * 100) / 100;
+  }
+  return Math.round(this.monthlyPayment * this.loanTerm * 100) / 100;
 });
 
-// Virtual property for monthly payment
-LoanSchema.virtual('monthlyPayment').get(function() {
-  return this.totalRepayment / this.loanTerm;
-});
+// Legal status transitions - anything not listed here is rejected
+const LOAN_TRANSITIONS = {
+  Pending: ['Approved', 'Rejected'],
+  Approved: ['Active', 'Rejected'],
+  Rejected: [],
+  Active: ['Completed', 'Defaulted'],
+  Defaulted: ['Completed'],
+  Completed: []
+};
 
-// Instance method to generate repayment schedule
-LoanSchema.methods.generateRepaymentSchedule = function() {
-  const schedule = [];
-  const monthlyPayment = this.monthlyPayment;
-  const startDate = new Date();
-  
-  for (let i = 1; i <= this.loanTerm; i++) {
-    const dueDate = new Date(startDate);
-    dueDate.setMonth(dueDate.getMonth() + i);
-    
-    schedule.push({
-      dueDate,
-      amount: monthlyPayment,
-      status: 'Pending'
+LoanSchema.statics.TRANSITIONS = LOAN_TRANSITIONS;
+LoanSchema.statics.LOAN_PURPOSES = LOAN_PURPOSES;
+LoanSchema.statics.COLLATERAL_TYPES = COLLATERAL_TYPES;
+LoanSchema.statics.CLOSED_INSTALLMENT_STATUSES = CLOSED_INSTALLMENT_STATUSES;
+
+LoanSchema.methods.canTransitionTo = function(status) {
+  return (LOAN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the loan to a new status and record the change
+LoanSchema.methods.transitionTo = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new ConflictError(`Cannot move loan from ${this.status} to ${status}`, {
+      code: 'INVALID_TRANSITION',
+      extra: { allowedTransitions: LOAN_TRANSITIONS[this.status] || [] }
     });
   }
-  
-  this.repaymentSchedule = schedule;
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    reason,
+    changedBy
+  });
+  this.status = status;
 };
 
-// Pre-save hook to update interest rate if lender changes
-LoanSchema.pre('save', function(next) {
-  if (this.isModified('lenderName')) {
-    if (this.lenderName.includes('Premium')) {
-      this.interestRate = 6.5;
-    } else if (this.lenderName.includes('Standard')) {
-      this.interestRate = 8.5;
-    }
+// Late fees and penalty interest charged on a credit line's minimum payments
+// and not yet paid
+const creditLineFeesOutstanding = (loan) => {
+  const charged = loan.repaymentSchedule.reduce(
+    (sum, installment) => sum + (installment.lateFee || 0) + (installment.penaltyInterest || 0), 0);
+  return Math.max(roundMoney(charged - loan.creditLine.feesPaid), 0);
+};
+
+// Virtual property for the unpaid balance across the repayment schedule, including penalties.
+// A credit line owes its drawn balance, interest and fees instead.
+LoanSchema.virtual('outstandingBalance').get(function() {
+  if (this.loanType === 'Credit') {
+    if (!this.creditLine || !this.repaymentSchedule) return 0;
+    const line = this.creditLine;
+    return roundMoney(line.drawnBalance + line.interestBalance + line.accruedInterest + creditLineFeesOutstanding(this));
   }
-  next();
+  if (!this.repaymentSchedule) return 0;
+  const balance = this.repaymentSchedule.reduce(
+    (sum, installment) => sum + (installmentDue(installment) - (installment.paidAmount || 0)), 0);
+  return Math.max(Math.round(balance * 100) / 100, 0);
 });
 
+// Virtual property for the value of the collateral still securing the loan
+LoanSchema.virtual('collateralValue').get(function() {
+  if (!this.collateral) return 0;
+  const value = this.collateral
+    .filter(item => item.lienStatus !== 'Released')
+    .reduce((sum, item) => sum + item.valuation, 0);
+  return Math.round(value * 100) / 100;
+});
+
+// Virtual property for the loan amount as a percentage of its collateral
+// value; null for an unsecured loan
+LoanSchema.virtual('loanToValue').get(function() {
+  const value = this.collateralValue;
+  return value > 0 ? Math.round((this.loanAmount / value) * 10000) / 100 : null;
+});
+
+// Virtual property for what can still be drawn on an active credit line;
+// everything owed counts against the limit
+LoanSchema.virtual('availableCredit').get(function() {
+  if (this.loanType !== 'Credit') return null;
+  if (this.status !== 'Active') return 0;
+  return Math.max(roundMoney((this.creditLimit || 0) - this.outstandingBalance), 0);
+});
+
+// Virtual property for the share of a credit line's limit in use, as a percentage
+LoanSchema.virtual('utilization').get(function() {
+  if (this.loanType !== 'Credit' || !this.creditLimit) return null;
+  return Math.round((this.outstandingBalance / this.creditLimit) * 10000) / 100;
+});
+
+// Instance method to generate the amortization schedule
+LoanSchema.methods.generateRepaymentSchedule = function(startDate = new Date()) {
+  this.repaymentSchedule = buildAmortizationSchedule({
+    principal: this.loanAmount,
+    annualRate: this.interestRate,
+    term: this.loanTerm,
+    startDate
+  }).map(installment => ({ ...installment, status: 'Pending' }));
+};
+
+// Instance method to open a credit line on disbursement: nothing is drawn
+// yet, and the first statement comes a month later
+LoanSchema.methods.openCreditLine = function(asOf = new Date()) {
+  Object.assign(this.creditLine, {
+    openedAt: asOf,
+    interestAccruedThrough: asOf,
+    drawPeriodEndsAt: addMonths(asOf, this.loanTerm),
+    nextStatementDate: addMonths(asOf, 1)
+  });
+  this.repaymentSchedule = [];
+};
+
+// Instance method to bring a credit line's accrued interest up to `asOf`
+LoanSchema.methods.accrueCreditInterest = function(asOf = new Date()) {
+  return accrueInterest(this.creditLine, { annualRate: this.interestRate, asOf });
+};
+
+// Instance method to draw funds from an active credit line. Returns the
+// transaction; does not save.
+LoanSchema.methods.drawCredit = function(amount, { asOf = new Date(), reference, description } = {}) {
+  if (this.status !== 'Active') {
+    throw new ConflictError(`Cannot draw on a ${this.status} credit line`, { code: 'CREDIT_LINE_NOT_ACTIVE' });
+  }
+  if (asOf > this.creditLine.drawPeriodEndsAt) {
+    throw new ConflictError('The draw period of this credit line has ended', { code: 'DRAW_PERIOD_ENDED' });
+  }
+  // Checked against the schedule itself: daysPastDue is only as fresh as the
+  // last delinquency run, and would keep blocking a borrower who has just paid
+  const overdue = this.repaymentSchedule.some(installment =>
+    installment.dueDate < asOf && installmentDue(installment) - (installment.paidAmount || 0) > 0);
+  if (overdue) {
+    throw new ConflictError('Bring the credit line up to date before drawing on it', { code: 'CREDIT_LINE_PAST_DUE' });
+  }
+
+  this.accrueCreditInterest(asOf);
+  if (amount > this.availableCredit) {
+    throw new BadRequestError(`Only ${this.availableCredit} is available on this credit line`, { code: 'CREDIT_LIMIT_EXCEEDED' });
+  }
+
+  this.creditLine.drawnBalance = roundMoney(this.creditLine.drawnBalance + amount);
+  this.creditLine.transactions.push({
+    type: 'draw',
+    amount: roundMoney(amount),
+    date: asOf,
+    reference,
+    description,
+    drawnBalance: this.creditLine.drawnBalance
+  });
+  return this.creditLine.transactions[this.creditLine.transactions.length - 1];
+};
+
+// Instance method to pay down a credit line's balance (the payment has
+// already been allocated to its minimum payments). Returns the split of the
+// amount (see applyRepayment); does not save.
+LoanSchema.methods.applyCreditRepayment = function(amount, { asOf = new Date(), reference, payment } = {}) {
+  this.accrueCreditInterest(asOf);
+  const split = applyRepayment(this.creditLine, amount, { feesOutstanding: creditLineFeesOutstanding(this) });
+
+  this.creditLine.transactions.push({
+    type: 'repayment',
+    amount: roundMoney(amount - split.unapplied),
+    date: asOf,
+    reference,
+    payment,
+    drawnBalance: this.creditLine.drawnBalance
+  });
+  return split;
+};
+
+// Instance method to issue the credit line's statements due by `asOf`.
+// Returns the statements issued; does not save.
+LoanSchema.methods.billCreditLine = function(asOf = new Date(), { paymentDueDays }) {
+  const statements = closeStatements(this.creditLine, this.repaymentSchedule, {
+    annualRate: this.interestRate,
+    asOf,
+    paymentDueDays,
+    feesOutstanding: creditLineFeesOutstanding(this)
+  });
+
+  for (const statement of statements) {
+    if (statement.interestBilled > 0) {
+      this.creditLine.transactions.push({
+        type: 'interest',
+        amount: statement.interestBilled,
+        date: statement.date,
+        drawnBalance: this.creditLine.drawnBalance
+      });
+    }
+  }
+  if (statements.length > 0) this.creditLine.lastStatement = statements[statements.length - 1];
+
+  return statements;
+};
+
+// Instance method to close a credit line whose draw period has ended with
+// nothing owed: nothing more can be drawn, so it is done. Returns whether it
+// was closed; does not save.
+LoanSchema.methods.closeSettledCreditLine = function(asOf = new Date()) {
+  if (!this.canTransitionTo('Completed') || asOf <= this.creditLine.drawPeriodEndsAt) return false;
+  if (this.outstandingBalance > 0) return false;
+
+  this.transitionTo('Completed', { reason: 'Draw period ended with nothing owed' });
+  this.completedAt = asOf;
+  return true;
+};
+
+// Instance method to reduce the schedule to an early settlement on `asOf`
+// (unearned interest rebated). Returns the amount that settles the loan;
+// does not save.
+LoanSchema.methods.prepareEarlySettlement = function(asOf = new Date()) {
+  rebateUnearnedInterest(this.repaymentSchedule, {
+    asOf,
+    startDate: this.disbursedAt || this.createdAt
+  });
+  return this.outstandingBalance;
+};
+
+// Instance method to rebuild the unpaid part of the schedule on new terms
+// (see restructureSchedule). The replaced schedule is kept in
+// scheduleHistory. Returns the restructuring summary; does not save.
+LoanSchema.methods.restructure = function({
+  extendTermMonths = 0,
+  interestRate,
+  holidayMonths = 0,
+  reason,
+  restructuredBy,
+  asOf = new Date()
+}) {
+  const annualRate = interestRate ?? this.interestRate;
+  const { schedule, summary } = restructureSchedule(
+    this.repaymentSchedule.map(installment => installment.toObject()),
+    {
+      asOf,
+      startDate: this.disbursedAt || this.createdAt,
+      annualRate,
+      extendTermBy: extendTermMonths,
+      holidayMonths
+    }
+  );
+
+  if (summary.term < 1) {
+    throw new BadRequestError('No installments remain to reschedule; extend the term', {
+      code: 'NOTHING_TO_RESTRUCTURE'
+    });
+  }
+
+  // Capitalized rows are not installments of the term
+  const loanTerm = schedule.filter(installment => installment.status !== 'Capitalized').length;
+  if (loanTerm > MAX_LOAN_TERM) {
+    const maxExtension = Math.max(extendTermMonths - (loanTerm - MAX_LOAN_TERM), 0);
+    throw new BadRequestError(`The restructured term cannot exceed ${MAX_LOAN_TERM} months; extend it by at most ${maxExtension}`, {
+      code: 'TERM_TOO_LONG',
+      errors: [{ field: 'extendTermMonths', location: 'body', message: `extendTermMonths must be at most ${maxExtension} for this loan` }],
+      extra: { maxExtendTermMonths: maxExtension }
+    });
+  }
+
+  this.scheduleHistory.push({
+    version: this.scheduleVersion || 1,
+    interestRate: this.interestRate,
+    loanTerm: this.loanTerm,
+    schedule: this.repaymentSchedule.map(installment => installment.toObject()),
+    replacedAt: asOf,
+    replacedBy: restructuredBy,
+    reason,
+    changes: { extendTermMonths, interestRate, holidayMonths },
+    capitalizedArrears: summary.capitalizedArrears,
+    capitalizedInterest: summary.capitalizedInterest,
+    newPrincipal: summary.newPrincipal
+  });
+
+  this.repaymentSchedule = schedule;
+  this.interestRate = annualRate;
+  this.loanTerm = loanTerm;
+  this.scheduleVersion = (this.scheduleVersion || 1) + 1;
+  this.restructured = true;
+  this.restructuredAt = asOf;
+
+  // Arrears were capitalized, so nothing is overdue any more
+  this.daysPastDue = 0;
+  this.delinquencyBucket = 'Current';
+
+  return summary;
+};
+
+// Instance method to quote the early settlement amount on a given date
+LoanSchema.methods.payoffQuote = function(asOf = new Date()) {
+  return quotePayoff(this.repaymentSchedule, {
+    asOf,
+    startDate: this.disbursedAt || this.createdAt
+  });
+};
+
 // Query middleware to automatically populate user data
 LoanSchema.pre(/^find/, function(next) {
   this.populate({
@@ -155,9 +697,11 @@ LoanSchema.pre(/^find/, function(next) {
     select: 'name email phone'
   }).populate({
     path: 'approvedBy',
-    select: 'name'
+    select: 'fullName'
   });
   next();
 });
 
+LoanSchema.plugin(auditPlugin, { entityType: 'Loan' });
+
 module.exports = mongoose.model('Loan', LoanSchema);
\ No newline at end of file
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const { LOAN_PURPOSES } = require('./Loan');
+
+const LoanProductSchema = new mongoose.Schema({
+  lender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lender',
+    required: [true, 'A product must belong to a lender'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Product code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: String,
+  // Credit products open revolving credit lines: the amount is the credit
+  // limit and the term is how long the line can be drawn on
+  loanType: {
+    type: String,
+    enum: { values: ['Term', 'Credit'], message: 'Invalid loan type' },
+    default: 'Term'
+  },
+  // Credit lines only: each statement's minimum payment is its interest plus
+  // this share of the drawn balance, and at least the floor
+  minimumPaymentPercent: {
+    type: Number,
+    min: [1, 'Minimum payment must be at least 1% of the balance'],
+    max: [100, 'Minimum payment cannot exceed the balance']
+  },
+  minimumPaymentFloor: {
+    type: Number,
+    min: [0, 'Minimum payment floor cannot be negative']
+  },
+  minAmount: {
+    type: Number,
+    required: [true, 'Minimum amount is required'],
+    min: [1000, 'Minimum amount cannot be below 1000']
+  },
+  maxAmount: {
+    type: Number,
+    required: [true, 'Maximum amount is required'],
+    max: [1000000, 'Maximum amount cannot exceed 1,000,000']
+  },
+  minTerm: {
+    type: Number,
+    required: [true, 'Minimum term is required'],
+    min: [1, 'Minimum term is 1 month']
+  },
+  maxTerm: {
+    type: Number,
+    required: [true, 'Maximum term is required'],
+    max: [60, 'Maximum term is 60 months']
+  },
+  interestRate: {
+    type: Number,
+    required: [true, 'Interest rate is required'],
+    min: [0, 'Interest rate cannot be negative'],
+    max: [25, 'Maximum interest rate is 25%']
+  },
+  // Secured products require collateral, and the loan may be at most this
+  // percentage of the collateral's value
+  maxLtv: {
+    type: Number,
+    min: [1, 'Maximum loan-to-value must be at least 1%'],
+    max: [100, 'Maximum loan-to-value cannot exceed 100%']
+  },
+  allowedPurposes: {
+    type: [{
+      type: String,
+      enum: { values: LOAN_PURPOSES, message: 'Invalid loan purpose' }
+    }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'At least one loan purpose is required'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+LoanProductSchema.pre('validate', function(next) {
+  if (this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot exceed maximum amount');
+  }
+  if (this.minTerm > this.maxTerm) {
+    this.invalidate('minTerm', 'Minimum term cannot exceed maximum term');
+  }
+  if (this.loanType === 'Credit' && !this.minimumPaymentPercent) {
+    this.invalidate('minimumPaymentPercent', 'Credit products need a minimum payment percentage');
+  }
+  next();
+});
+
+// Check an application against the product. Returns a list of problems (empty when it fits).
+// `collateralValue` is the total valuation of the collateral pledged.
+LoanProductSchema.methods.checkApplication = function({ loanAmount, loanTerm, loanPurpose, collateralValue = 0 }) {
+  const problems = [];
+  if (loanAmount < this.minAmount || loanAmount > this.maxAmount) {
+    problems.push(`Loan amount must be between ${this.minAmount} and ${this.maxAmount} for ${this.name}`);
+  }
+  if (loanTerm < this.minTerm || loanTerm > this.maxTerm) {
+    problems.push(`Loan term must be between ${this.minTerm} and ${this.maxTerm} months for ${this.name}`);
+  }
+  if (!this.allowedPurposes.includes(loanPurpose)) {
+    problems.push(`${this.name} is not available for ${loanPurpose} loans`);
+  }
+  if (this.maxLtv) {
+    if (!collateralValue) {
+      problems.push(`${this.name} is a secured product and requires collateral`);
+    } else if ((loanAmount / collateralValue) * 100 > this.maxLtv) {
+      problems.push(`Loan amount cannot exceed ${this.maxLtv}% of the collateral value for ${this.name}`);
+    }
+  }
+  return problems;
+};
+
+LoanProductSchema.statics.LOAN_PURPOSES = LOAN_PURPOSES;
+
+module.exports = mongoose.model('LoanProduct', LoanProductSchema);
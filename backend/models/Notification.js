@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One message on one channel. Doubles as the delivery log (status, attempts,
+// per-attempt results) and, for the in_app channel, as the user's inbox.
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email', 'in_app'],
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  to: String,
+  title: String,
+  body: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveries: [{
+    _id: false,
+    attemptedAt: Date,
+    success: Boolean,
+    providerId: String,
+    error: String
+  }],
+  lastError: String,
+  sentAt: Date,
+  readAt: Date,
+  // Stops the same reminder or event being sent twice on a channel
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, { timestamps: true, versionKey: false });
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ user: 1, channel: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
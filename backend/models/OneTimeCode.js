@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Short numeric codes for phone/email verification and password reset.
+// Only an HMAC of the code is stored; a code is single-use and locks after
+// too many wrong guesses.
+const OneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_phone', 'verify_email', 'reset_password'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  consumedAt: Date
+}, { timestamps: true, versionKey: false });
+
+OneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Keep expired codes for a day for troubleshooting, then let MongoDB drop them
+OneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OneTimeCode', OneTimeCodeSchema);
@@ -1,5 +1,6 @@
 // models/Payment.js
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
 
 const PaymentSchema = new mongoose.Schema({
   user: {
@@ -21,7 +22,8 @@ const PaymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['bank', 'mobile', 'cash'],
+    // refinance: settled out of a refinancing loan's disbursement
+    enum: ['bank', 'mobile', 'cash', 'refinance'],
     required: true
   },
   reference: {
@@ -32,7 +34,40 @@ const PaymentSchema = new mongoose.Schema({
     type: String,
     enum: ['pending', 'completed', 'failed'],
     default: 'pending'
-  }
+  },
+  // How the amount was spread over the loan's repayment schedule
+  allocations: [{
+    installment: mongoose.Schema.Types.ObjectId,
+    dueDate: Date,
+    amount: Number
+  }],
+  // Part of the amount that could not be applied (e.g. the loan was settled
+  // before a mobile money callback arrived) and needs refunding
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Settlement payments: the refinancing loan that paid this loan off
+  refinanceLoan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  // Mobile money collections
+  provider: String,
+  providerReference: String,
+  msisdn: String,
+  failureReason: String
 }, { timestamps: true });
 
+PaymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+PaymentSchema.plugin(auditPlugin, { entityType: 'Payment' });
+
 module.exports = mongoose.model('Payment', PaymentSchema);
\ No newline at end of file
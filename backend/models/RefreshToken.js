@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Only the SHA-256 of the token is stored.
+// Tokens issued by rotating the same login share a `family`, so a reused
+// (already rotated) token can revoke every descendant.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  userType: {
+    type: String,
+    enum: ['user', 'staff'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_disabled']
+  },
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true, versionKey: false });
+
+// Let MongoDB clean up expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -1,12 +1,23 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const loginLockoutPlugin = require('./plugins/loginLockout');
 const bcrypt = require('bcryptjs');
 
 const staffSchema = new mongoose.Schema({
-  fullName: { type: String, required: true },
-  employeeId: { type: String, required: true, unique: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true }
-});
+  fullName: { type: String, required: true, trim: true },
+  employeeId: { type: String, required: true, unique: true, trim: true },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  password: { type: String, required: true, minlength: 8, select: false },
+  role: {
+    type: String,
+    enum: ['officer', 'admin'],
+    default: 'officer'
+  },
+  active: { type: Boolean, default: true },
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: { type: Number, default: 0, select: false },
+  lastLoginAt: Date
+}, { timestamps: true });
 
 // Hash the password before saving the staff
 staffSchema.pre('save', async function (next) {
@@ -25,6 +36,9 @@ staffSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+staffSchema.plugin(loginLockoutPlugin);
+staffSchema.plugin(auditPlugin, { entityType: 'Staff' });
+
 const Staff = mongoose.model('Staff', staffSchema);
 
 module.exports = Staff;
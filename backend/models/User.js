@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit');
+const loginLockoutPlugin = require('./plugins/loginLockout');
 const bcrypt = require('bcryptjs');
 
 const UserSchema = new mongoose.Schema({
@@ -34,6 +36,16 @@ const UserSchema = new mongoose.Schema({
       message: 'Lesotho phone must be +266 followed by 8 digits'
     }
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: { 
     type: String, 
     required: [true, 'Password is required'],
@@ -48,7 +60,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: { 
     type: String, 
-    enum: ['user', 'premium', 'admin'],
+    enum: ['user', 'premium'],
     default: 'user'
   },
   employmentStatus: { 
@@ -68,6 +80,30 @@ const UserSchema = new mongoose.Schema({
     max: [850, 'Maximum credit score is 850'],
     default: 650
   },
+  // Derived from the user's KYC documents (see services/kyc); loan
+  // applications need 'verified'
+  kycStatus: {
+    type: String,
+    enum: ['unverified', 'pending', 'verified', 'rejected'],
+    default: 'unverified'
+  },
+  kycVerifiedAt: Date,
+  notificationPreferences: {
+    sms: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+    inApp: { type: Boolean, default: true },
+    reminderDaysBefore: {
+      type: Number,
+      min: [0, 'Reminder lead time cannot be negative'],
+      max: [14, 'Reminder lead time cannot exceed 14 days']
+    }
+  },
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -98,4 +134,7 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+UserSchema.plugin(loginLockoutPlugin);
+UserSchema.plugin(auditPlugin, { entityType: 'User' });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
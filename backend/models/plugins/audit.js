@@ -0,0 +1,183 @@
+const AuditLog = require('../AuditLog');
+const { getContext } = require('../../utils/requestContext');
+
+const REDACTED = '[REDACTED]';
+// Documents compared and written per round trip in the query-level hooks
+const QUERY_AUDIT_BATCH = 1000;
+
+// Documents read through the native driver carry bson ObjectIds, which are
+// not instances of mongoose's subclass - check the bson type tag instead
+const isObjectId = value => value?._bsontype === 'ObjectId';
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value);
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (isObjectId(value)) return value.toString();
+  return value;
+};
+
+// Flatten a document to dotted paths. Arrays are indexed so a change to one
+// installment shows up as `repaymentSchedule.3.paidAmount`.
+const flatten = (value, prefix = '', out = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) out[prefix] = [];
+    value.forEach((item, i) => flatten(item, prefix ? `${prefix}.${i}` : String(i), out));
+  } else if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) out[prefix] = {};
+    keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = comparable(value);
+  }
+  return out;
+};
+
+const diff = (before, after, redact) => {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const paths = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+
+  for (const path of paths) {
+    if (path === '__v' || path === 'updatedAt') continue;
+    if (JSON.stringify(a[path]) === JSON.stringify(b[path])) continue;
+
+    const hidden = redact.includes(path.split('.').pop());
+    changes.push({
+      path,
+      before: hidden && a[path] !== undefined ? REDACTED : a[path],
+      after: hidden && b[path] !== undefined ? REDACTED : b[path]
+    });
+  }
+
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+};
+
+const snapshot = doc => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+const batches = (items, size = QUERY_AUDIT_BATCH) => {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+};
+
+const writeEntries = async (entries, session) => {
+  if (entries.length === 0) return;
+
+  const context = getContext();
+
+  const docs = entries.map(entry => ({
+    ...entry,
+    actor: context?.actor || { type: 'system' },
+    ip: context?.ip,
+    requestId: context?.requestId
+  }));
+
+  await AuditLog.insertMany(docs, session ? { session } : {});
+};
+
+// Mongoose plugin that records create/update/delete of a model to AuditLog
+// with a field-level before/after diff, the acting user and request details.
+// Covers document saves and the query-level update/delete helpers.
+module.exports = function auditPlugin(schema, { entityType, redact = ['password'] } = {}) {
+  // Keep the raw document a loaded document was built from as its "before"
+  // state. Mongoose copies it into fresh containers rather than changing it,
+  // so this costs nothing for the many documents that are only read.
+  schema.pre('init', function(raw) {
+    this.$locals.auditSnapshot = raw;
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function() {
+    const before = this.$locals.auditWasNew ? {} : this.$locals.auditSnapshot;
+    const after = snapshot(this);
+    const changes = diff(before, after, redact);
+    this.$locals.auditSnapshot = after;
+
+    if (!changes.length) return;
+    await writeEntries([{
+      action: this.$locals.auditWasNew ? 'create' : 'update',
+      entityType,
+      entityId: this._id,
+      changes
+    }], this.$session());
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await writeEntries([{
+      action: 'delete',
+      entityType,
+      entityId: this._id,
+      changes: diff(snapshot(this), {}, redact)
+    }], this.$session());
+  });
+
+  // Query helpers bypass document middleware, so capture every affected
+  // document before the query runs and compare afterwards, a batch at a time.
+  // Reads go through the native collection to skip find middleware such as
+  // auto-populate.
+  const findRaw = (model, filter, session) => model.collection
+    .find(filter, session ? { session } : {})
+    .toArray();
+
+  const updateOps = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+  const deleteOps = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+  [...updateOps, ...deleteOps].forEach(op => {
+    schema.pre(op, { document: false, query: true }, async function() {
+      const filter = this.cast(this.model, this.getFilter());
+      this._auditBefore = await findRaw(this.model, filter, this.getOptions().session);
+    });
+  });
+
+  updateOps.forEach(op => {
+    schema.post(op, { document: false, query: true }, async function() {
+      const before = this._auditBefore || [];
+      if (!before.length) return;
+
+      const session = this.getOptions().session || null;
+      for (const batch of batches(before)) {
+        const after = await findRaw(this.model, { _id: { $in: batch.map(doc => doc._id) } }, session);
+        const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+        const entries = batch
+          .map(doc => ({
+            action: 'update',
+            entityType,
+            entityId: doc._id,
+            changes: diff(doc, afterById.get(String(doc._id)), redact)
+          }))
+          .filter(entry => entry.changes.length);
+
+        await writeEntries(entries, session);
+      }
+    });
+  });
+
+  deleteOps.forEach(op => {
+    schema.post(op, { document: false, query: true }, async function() {
+      const before = this._auditBefore || [];
+      const session = this.getOptions().session || null;
+      for (const batch of batches(before)) {
+        const remaining = await findRaw(this.model, { _id: { $in: batch.map(doc => doc._id) } }, session);
+        const stillThere = new Set(remaining.map(doc => String(doc._id)));
+
+        await writeEntries(batch
+          .filter(doc => !stillThere.has(String(doc._id)))
+          .map(doc => ({
+            action: 'delete',
+            entityType,
+            entityId: doc._id,
+            changes: diff(doc, {}, redact)
+          })), session);
+      }
+    });
+  });
+};
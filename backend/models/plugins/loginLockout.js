@@ -0,0 +1,54 @@
+const config = require('../../config/security').lockout;
+
+// Progressive lockout for accounts that log in with a password. After
+// `maxAttempts` failures in a row the account is locked; each lock lasts
+// twice as long as the one before, up to `maxMinutes`. A successful login
+// or an admin unlock clears the count.
+//
+// The fields are not selected by default; login queries must ask for
+// '+failedLoginAttempts +lockUntil +lockCount'.
+const loginLockoutPlugin = (schema) => {
+  schema.add({
+    failedLoginAttempts: { type: Number, default: 0, select: false },
+    lockUntil: { type: Date, select: false },
+    // Number of locks since the last successful login; drives the lock length
+    lockCount: { type: Number, default: 0, select: false },
+    lastFailedLoginAt: { type: Date, select: false }
+  });
+
+  schema.methods.isLoginLocked = function(now = new Date()) {
+    return Boolean(this.lockUntil && this.lockUntil > now);
+  };
+
+  // Count a failed login; locks the account when the limit is reached.
+  // Uses atomic updates so parallel attempts cannot slip past the limit.
+  schema.methods.registerFailedLogin = async function(now = new Date()) {
+    const Model = this.constructor;
+    const updated = await Model.findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    ).select('+failedLoginAttempts +lockCount');
+    if (!updated || updated.failedLoginAttempts < config.maxAttempts) return null;
+
+    const lockMinutes = Math.min(config.baseMinutes * 2 ** (updated.lockCount || 0), config.maxMinutes);
+    const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+    await Model.updateOne(
+      { _id: this._id },
+      { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+    );
+    this.lockUntil = lockUntil;
+    return lockUntil;
+  };
+
+  // Clear failures after a successful login or an admin unlock
+  schema.methods.clearLoginFailures = function() {
+    return this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+    );
+  };
+};
+
+module.exports = loginLockoutPlugin;
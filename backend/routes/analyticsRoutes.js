@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const analytics = require('../services/analytics');
+const { validate } = require('../validation');
+const schemas = require('../validation/analytics');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Wrap an analytics function as a GET handler. Every report takes
+// ?from=&to= (ISO dates) and ?lender=<lenderId>, checked by its schema.
+const report = build => asyncHandler(async (req, res) => {
+  const { from, to, lender } = req.query;
+  const filters = { from, to, lender };
+
+  res.json({
+    success: true,
+    filters,
+    ...(await build(filters))
+  });
+});
+
+router.use(authenticate, authorize('admin'));
+
+// GET /api/analytics/summary - principal, decision rates and PAR in one call
+router.get('/summary', validate(schemas.summary), report(async (filters) => {
+  const [principal, decisions, par] = await Promise.all([
+    analytics.principalSummary(filters),
+    analytics.decisionRates(filters),
+    analytics.portfolioAtRisk(filters)
+  ]);
+  return { principal, decisions, portfolioAtRisk: par };
+}));
+
+router.get('/principal', validate(schemas.principal), report(async filters => ({
+  principal: await analytics.principalSummary(filters)
+})));
+
+router.get('/decisions', validate(schemas.decisions), report(async filters => ({
+  decisions: await analytics.decisionRates(filters)
+})));
+
+router.get('/portfolio-at-risk', validate(schemas.portfolioAtRisk), report(async filters => ({
+  portfolioAtRisk: await analytics.portfolioAtRisk(filters)
+})));
+
+router.get('/default-rates', validate(schemas.defaultRates), report(async filters => ({
+  defaultRates: await analytics.defaultRates(filters)
+})));
+
+router.get('/collections', validate(schemas.collections), report(async filters => ({
+  collections: await analytics.collectionsVsExpected(filters)
+})));
+
+module.exports = router;
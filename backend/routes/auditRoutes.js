@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/audit');
+const asyncHandler = require('../utils/asyncHandler');
+
+// GET /api/audit-logs?entityType=&entityId=&actorId=&action=&from=&to=&page=&limit=
+// Admin only; newest first
+router.get('/', authenticate, authorize('admin'), validate(schemas.list), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.list.list);
+  const { items: logs, pagination } = await paginate(AuditLog, {}, listQuery, query => query.lean());
+
+  res.json({
+    success: true,
+    total: pagination.total,
+    page: pagination.page,
+    count: logs.length,
+    pagination,
+    logs
+  });
+}));
+
+module.exports = router;
@@ -1,117 +1,232 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../validation');
+const schemas = require('../validation/auth');
+const { issueCode, verifyCode } = require('../services/otp');
+const { LOCKOUT_FIELDS, checkLogin, lockedError } = require('../services/loginLockout');
+const { loginLimiter, signupLimiter, otpLimiter } = require('../middleware/security');
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../services/sessions');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors');
+
+// Login state and secrets never leave the server
+const PRIVATE_FIELDS = ['password', 'tokenVersion', 'failedLoginAttempts', 'lockUntil', 'lockCount', 'lastFailedLoginAt'];
+
+const toUserResponse = (user) => {
+  const userResponse = user.toObject();
+  PRIVATE_FIELDS.forEach(field => delete userResponse[field]);
+  return userResponse;
+};
 
 // POST /api/auth/signup
-router.post('/signup', async (req, res) => {
-  try {
-    const { firstName, lastName, email, phone, password, role, employmentStatus, annualIncome } = req.body;
-
-    // Validate required fields
-    const requiredFields = ['firstName', 'lastName', 'email', 'phone', 'password', 'employmentStatus', 'annualIncome'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
-    
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Missing required fields: ${missingFields.join(', ')}`
-      });
-    }
-
-    // Check for existing user
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }] });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User with this email or phone already exists'
-      });
-    }
-
-    // Create new user
-    const user = new User({
-      firstName,
-      lastName,
-      email,
-      phone,
-      password,
-      role: role || 'user',
-      employmentStatus,
-      annualIncome
-    });
-
-    await user.save();
-
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '30d' }
-    );
-
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: userResponse
-    });
+router.post('/signup', signupLimiter, validate(schemas.signup), asyncHandler(async (req, res) => {
+  const { firstName, lastName, email, phone, password, employmentStatus, annualIncome } = req.body;
 
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error during registration'
-    });
+  // Check for existing user
+  const existingUser = await User.findOne({ $or: [{ email }, { phone }] });
+  if (existingUser) {
+    throw new ConflictError('User with this email or phone already exists', { code: 'DUPLICATE_KEY' });
   }
-});
+
+  // Create new user. Role is never taken from the request - privileged
+  // accounts are Staff and are created by an admin.
+  const user = new User({
+    firstName,
+    lastName,
+    email,
+    phone,
+    password,
+    role: 'user',
+    employmentStatus,
+    annualIncome
+  });
+
+  await user.save();
+
+  // Create access token and refresh token cookie
+  const session = await createSession(user, 'user', req);
+  setRefreshCookie(res, session);
+
+  const userResponse = toUserResponse(user);
+
+  res.status(201).json({
+    success: true,
+    token: session.accessToken,
+    user: userResponse
+  });
+}));
 
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Failed attempts are limited per IP, and repeated failures lock the account
+router.post('/login', loginLimiter, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+  const user = await User.findOne({ email }).select(`+password +tokenVersion ${LOCKOUT_FIELDS}`);
+  const login = user && await checkLogin(user, () => bcrypt.compare(password, user.password));
 
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  if (login?.lockedUntil) throw lockedError(login.lockedUntil);
+  if (!login?.ok) throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '30d' }
-    );
+  const session = await createSession(user, 'user', req);
+  setRefreshCookie(res, session);
 
-    const userResponse = user.toObject();
-    delete userResponse.password;
+  const userResponse = toUserResponse(user);
 
-    res.status(200).json({
-      success: true,
-      token,
-      user: userResponse
-    });
+  res.status(200).json({
+    success: true,
+    token: session.accessToken,
+    user: userResponse
+  });
+}));
 
+// POST /api/auth/refresh - exchange the refresh cookie for a new access token.
+// Works for both borrower and staff sessions.
+router.post('/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+  let session;
+  try {
+    session = await rotateSession(req.cookies?.[REFRESH_COOKIE], req);
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error during login'
-    });
+    clearRefreshCookie(res);
+    throw error;
   }
-});
+  setRefreshCookie(res, session);
+
+  res.status(200).json({
+    success: true,
+    token: session.accessToken,
+    userType: session.userType
+  });
+}));
+
+// POST /api/auth/logout - end this device's session
+router.post('/logout', validate(schemas.logout), asyncHandler(async (req, res) => {
+  await endSession(req.cookies?.[REFRESH_COOKIE]);
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out'
+  });
+}));
+
+// POST /api/auth/logout-all - end every session and invalidate issued access tokens
+router.post('/logout-all', authenticate, validate(schemas.logoutAll), asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.user._id, req.userType);
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices'
+  });
+}));
+
+// --- Phone / email verification ---
+const VERIFICATION_TARGETS = {
+  phone: { purpose: 'verify_phone', channel: 'sms', field: 'phone', flag: 'phoneVerified' },
+  email: { purpose: 'verify_email', channel: 'email', field: 'email', flag: 'emailVerified' }
+};
+
+// POST /api/auth/verify/phone/request, POST /api/auth/verify/email/request
+router.post('/verify/:target/request', authenticate, authorize('user', 'premium'), otpLimiter, validate(schemas.requestVerification), asyncHandler(async (req, res) => {
+  const target = VERIFICATION_TARGETS[req.params.target];
+
+  if (req.user[target.flag]) {
+    throw new BadRequestError(`Your ${req.params.target} is already verified`, { code: 'ALREADY_VERIFIED' });
+  }
+
+  await issueCode({
+    user: req.user,
+    purpose: target.purpose,
+    channel: target.channel,
+    destination: req.user[target.field]
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Verification code sent to your ${req.params.target}`
+  });
+}));
+
+// POST /api/auth/verify/phone/confirm, POST /api/auth/verify/email/confirm
+router.post('/verify/:target/confirm', authenticate, authorize('user', 'premium'), otpLimiter, validate(schemas.confirmVerification), asyncHandler(async (req, res) => {
+  const target = VERIFICATION_TARGETS[req.params.target];
+
+  await verifyCode({ user: req.user, purpose: target.purpose, code: req.body.code });
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { [target.flag]: true, [`${target.flag}At`]: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Your ${req.params.target} has been verified`
+  });
+}));
+
+// --- Password reset ---
+
+// POST /api/auth/password/forgot - always answers the same way so the
+// endpoint cannot be used to discover registered emails
+router.post('/password/forgot', otpLimiter, validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  if (user) {
+    try {
+      await issueCode({ user, purpose: 'reset_password', channel: 'email', destination: user.email });
+    } catch (error) {
+      // A cooldown hit is not reported, for the same reason
+      if (!(error instanceof TooManyRequestsError)) throw error;
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If that email is registered, a reset code has been sent'
+  });
+}));
+
+// POST /api/auth/password/reset - { email, code, password }
+router.post('/password/reset', otpLimiter, validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { email, code, password } = req.body;
+
+  const user = await User.findOne({ email });
+  if (!user) throw new BadRequestError('Code is invalid or has expired', { code: 'INVALID_CODE' });
+
+  // Check the new password before burning the code
+  user.password = password;
+  const validationError = user.validateSync(['password']);
+  if (validationError) throw validationError;
+
+  await verifyCode({ user, purpose: 'reset_password', code });
+  await user.save();
+
+  // A reset ends every existing session and lifts any login lock
+  await revokeAllSessions(user._id, 'user', 'password_reset');
+  await user.clearLoginFailures();
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in again'
+  });
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
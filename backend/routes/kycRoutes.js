@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { uploadKycDocument } = require('../middleware/upload');
+const KycDocument = require('../models/KycDocument');
+const { uploadDocument, reviewDocument, readDocument } = require('../services/kyc');
+const { notifyQuietly } = require('../services/notifications');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/kyc');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// What borrowers and reviewers see of a document; never the storage location
+const toDocumentResponse = document => ({
+  id: document._id,
+  documentType: document.documentType,
+  loan: document.loan || null,
+  originalName: document.originalName,
+  mimeType: document.mimeType,
+  size: document.size,
+  checksum: document.checksum,
+  status: document.status,
+  reviewedAt: document.reviewedAt || null,
+  reviewNotes: document.reviewNotes || null,
+  uploadedAt: document.createdAt
+});
+
+// Upload an identity or income document (multipart, field `file`)
+router.post('/documents',
+  authenticate,
+  authorize('user', 'premium'),
+  uploadKycDocument,
+  validate(schemas.upload),
+  asyncHandler(async (req, res) => {
+    const { document, kycStatus } = await uploadDocument({
+      userId: req.user._id,
+      documentType: req.body.documentType,
+      loanId: req.body.loanId,
+      file: req.file
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded and queued for review',
+      document: toDocumentResponse(document),
+      kycStatus
+    });
+  })
+);
+
+// The borrower's own documents, newest first
+router.get('/documents', authenticate, authorize('user', 'premium'), validate(schemas.myDocuments), asyncHandler(async (req, res) => {
+  const documents = await KycDocument.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    kycStatus: req.user.kycStatus,
+    kycVerifiedAt: req.user.kycVerifiedAt || null,
+    count: documents.length,
+    documents: documents.map(toDocumentResponse)
+  });
+}));
+
+router.get('/documents/:id/file', authenticate, authorize('user', 'premium', 'officer', 'admin'), validate(schemas.download), asyncHandler(async (req, res) => {
+  const filter = req.userType === 'staff'
+    ? { _id: req.params.id }
+    : { _id: req.params.id, user: req.user._id };
+  const document = await KycDocument.findOne(filter);
+
+  if (!document) throw new NotFoundError('Document not found');
+
+  const contents = await readDocument(document);
+
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Disposition': `attachment; filename="${document.documentType}-${document._id}.${document.storage.key.split('.').pop()}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(contents);
+}));
+
+// --- Review (staff/admin) ---
+
+// GET /api/kyc/review-queue?status=&documentType=&user=&from=&to=&page=&limit=
+router.get('/review-queue', authenticate, authorize('officer', 'admin'), validate(schemas.reviewQueue), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.reviewQueue.list);
+  const scope = listQuery.filter.status ? {} : { status: 'pending' };
+
+  const { items: documents, pagination } = await paginate(KycDocument, scope, listQuery, query => query
+    .populate('user', 'firstName lastName phone kycStatus'));
+
+  res.json({
+    success: true,
+    total: pagination.total,
+    count: documents.length,
+    pagination,
+    documents: documents.map(document => ({
+      ...toDocumentResponse(document),
+      user: document.user
+    }))
+  });
+}));
+
+router.patch('/documents/:id/review', authenticate, authorize('officer', 'admin'), validate(schemas.review), asyncHandler(async (req, res) => {
+  const { decision, notes } = req.body;
+  const { document, kycStatus } = await reviewDocument({
+    documentId: req.params.id,
+    reviewerId: req.user._id,
+    approve: decision === 'approve',
+    notes: notes || undefined
+  });
+
+  notifyQuietly(document.user, 'kyc_document_reviewed', {
+    documentType: document.documentType,
+    approved: document.status === 'approved',
+    notes: document.reviewNotes,
+    kycStatus
+  }, { dedupeKey: `kyc:${document._id}:${document.status}` });
+
+  res.json({
+    success: true,
+    message: `Document ${document.status}`,
+    document: toDocumentResponse(document),
+    kycStatus
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const Lender = require('../models/Lender');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../validation');
+const schemas = require('../validation/lenders');
+const asyncHandler = require('../utils/asyncHandler');
+const pick = require('../utils/pick');
+const { NotFoundError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = ['name', 'code', 'description', 'contactEmail', 'active'];
+
+const findLender = async (id) => {
+  const lender = await Lender.findById(id);
+  if (!lender) throw new NotFoundError('Lender not found');
+  return lender;
+};
+
+// GET /api/lenders - active lenders; staff may pass ?includeInactive=true
+router.get('/', authenticate, validate(schemas.list), asyncHandler(async (req, res) => {
+  const includeInactive = req.userType === 'staff' && req.query.includeInactive === true;
+  const lenders = await Lender.find(includeInactive ? {} : { active: true }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    count: lenders.length,
+    lenders
+  });
+}));
+
+// GET /api/lenders/:id
+router.get('/:id', authenticate, validate(schemas.get), asyncHandler(async (req, res) => {
+  const lender = await findLender(req.params.id);
+
+  res.json({
+    success: true,
+    lender
+  });
+}));
+
+// POST /api/lenders - admin only
+router.post('/', authenticate, authorize('admin'), validate(schemas.create), asyncHandler(async (req, res) => {
+  const lender = await Lender.create(pick(req.body, EDITABLE_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    lender
+  });
+}));
+
+// PATCH /api/lenders/:id - admin only
+router.patch('/:id', authenticate, authorize('admin'), validate(schemas.update), asyncHandler(async (req, res) => {
+  const lender = await findLender(req.params.id);
+
+  lender.set(pick(req.body, EDITABLE_FIELDS));
+  await lender.save();
+
+  res.json({
+    success: true,
+    lender
+  });
+}));
+
+// DELETE /api/lenders/:id - admin only. Lenders are deactivated rather than
+// removed because existing loans reference them.
+router.delete('/:id', authenticate, authorize('admin'), validate(schemas.deactivate), asyncHandler(async (req, res) => {
+  const lender = await findLender(req.params.id);
+
+  lender.active = false;
+  await lender.save();
+
+  res.json({
+    success: true,
+    message: 'Lender deactivated',
+    lender
+  });
+}));
+
+module.exports = router;
@@ -1,283 +1,849 @@
 const express = require('express');
 const router = express.Router();
 const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const requireVerifiedPhone = require('../middleware/requireVerifiedPhone');
+const requireVerifiedKyc = require('../middleware/requireVerifiedKyc');
+const idempotency = require('../middleware/idempotency');
 const Loan = require('../models/Loan');
-const { body, validationResult } = require('express-validator');
-const mongoose = require('mongoose');
+const LoanProduct = require('../models/LoanProduct');
+const { PAYABLE_STATUSES, inTransaction, recordLoanPayment } = require('../services/repayments');
+const { quoteRefinance, settleRefinancedLoans } = require('../services/refinancing');
+const { assertCreditLine, drawFromCreditLine, creditLineSummary } = require('../services/creditLines');
+const {
+  resolveGuarantors,
+  assertGuarantorsAccepted,
+  respondToGuarantee,
+  findGuarantees,
+  guaranteeExposure
+} = require('../services/guarantors');
+const { initiateMobilePayment } = require('../services/mobileMoney');
+const { runDelinquencyCheck } = require('../services/delinquency');
+const { refreshCreditScore } = require('../services/creditScoring');
+const CreditScoreSnapshot = require('../models/CreditScoreSnapshot');
+const { evaluateApplication } = require('../services/underwriting');
+const { notifyQuietly, notifyLoanStatus } = require('../services/notifications');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/loans');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
 
 // Apply for a new loan
 router.post('/', 
   authenticate,
-  [
-    body('loanAmount').isNumeric().withMessage('Loan amount must be a number'),
-    body('loanAmount').custom(value => value >= 1000).withMessage('Minimum loan amount is 1000'),
-    body('loanPurpose').isIn(['Home', 'Car', 'Education', 'Business', 'Personal', 'Medical', 'Debt Consolidation']),
-    body('loanTerm').isInt({ min: 1, max: 60 }),
-    body('monthlyIncome').isNumeric(),
-    body('employmentStatus').isIn(['employed', 'self-employed', 'student', 'retired', 'unemployed'])
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-          message: 'Validation failed'
-        });
-      }
+  authorize('user', 'premium'),
+  requireVerifiedPhone,
+  requireVerifiedKyc,
+  validate(schemas.apply),
+  idempotency,
+  asyncHandler(async (req, res) => {
+    const {
+      productId,
+      loanAmount,
+      loanPurpose,
+      loanTerm,
+      monthlyIncome,
+      employmentStatus,
+      refinanceLoanIds = [],
+      collateral = [],
+      guarantors = []
+    } = req.body;
 
-      const { 
-        loanAmount, 
-        loanPurpose, 
-        loanTerm,
-        lenderId,
-        lenderName,
-        monthlyIncome,
-        employmentStatus,
-        collateral
-      } = req.body;
-
-      const interestRate = req.body.interestRate || 
-                         (lenderName?.includes('Premium') ? 6.5 : 8.5);
-
-      const loan = new Loan({
-        user: req.user.id,
-        loanAmount,
-        loanPurpose,
-        loanTerm,
-        interestRate,
-        lenderId: lenderId || null,
-        lenderName: lenderName || 'General Application',
-        monthlyIncome,
-        employmentStatus: employmentStatus.toLowerCase(),
-        collateral: collateral || null,
-        status: 'Pending',
-        paymentHistory: [],
-        remainingTerm: loanTerm
-      });
+    // Pricing and limits come from the chosen product
+    const product = await LoanProduct.findOne({ _id: productId, active: true }).populate('lender');
 
-      // Generate repayment schedule
-      loan.generateRepaymentSchedule();
-      await loan.save();
+    if (!product || !product.lender || !product.lender.active) {
+      throw new BadRequestError('Loan product not found or no longer available', { code: 'PRODUCT_UNAVAILABLE' });
+    }
 
-      res.status(201).json({
-        success: true,
-        message: 'Loan application submitted successfully',
-        loan: {
-          id: loan._id,
-          status: loan.status,
-          loanAmount: loan.loanAmount,
-          loanPurpose: loan.loanPurpose,
-          lenderName: loan.lenderName
-        }
+    const collateralValue = collateral.reduce((sum, item) => sum + item.valuation, 0);
+    const productProblems = product.checkApplication({ loanAmount, loanTerm, loanPurpose, collateralValue });
+    if (productProblems.length > 0) {
+      throw new BadRequestError(productProblems[0], {
+        code: 'PRODUCT_RULES',
+        errors: productProblems.map(message => ({ field: 'productId', location: 'body', message }))
       });
+    }
 
-    } catch (error) {
-      console.error('Loan application error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Server error during loan application'
-      });
+    const interestRate = product.interestRate;
+    const isCreditLine = product.loanType === 'Credit';
+
+    if (isCreditLine && refinanceLoanIds.length > 0) {
+      throw new BadRequestError('A credit line cannot refinance other loans', { code: 'CREDIT_LINE_NOT_SUPPORTED' });
     }
-  }
-);
 
-// Get user's loans with enhanced data for credit report
-router.get('/my-loans', authenticate, async (req, res) => {
-  try {
-    const loans = await Loan.find({ user: req.user.id })
-      .sort({ createdAt: -1 })
-      .select('_id loanAmount loanPurpose loanTerm interestRate status lenderName monthlyPayment repaymentSchedule createdAt paymentHistory remainingTerm collateral creditLimit loanType')
-      .lean();
-
-    // Enhance loan data for credit report
-    const enhancedLoans = loans.map(loan => {
-      const paidPayments = loan.paymentHistory?.filter(p => p === 'paid').length || 0;
-      const totalPayments = loan.paymentHistory?.length || 0;
-      const paymentPercentage = totalPayments > 0 ? Math.round((paidPayments / totalPayments) * 100) : 0;
-      
-      return {
-        ...loan,
-        paymentHistory: loan.paymentHistory || [],
-        remainingTerm: loan.remainingTerm || (loan.loanTerm - paidPayments),
-        nextPaymentDate: loan.repaymentSchedule?.find(p => p.status === 'Pending')?.dueDate || null,
-        paymentPercentage,
-        originalAmount: loan.loanAmount,
-        loanType: loan.loanType || 'Term', // Default to Term loan if not specified
-        creditLimit: loan.creditLimit || 0
-      };
+    // Refinance mode: the loan pays off these loans when it is disbursed
+    const refinance = refinanceLoanIds.length > 0
+      ? await quoteRefinance({ userId: req.user._id, loanIds: refinanceLoanIds, loanAmount })
+      : undefined;
+
+    const guarantorEntries = guarantors.length > 0
+      ? await resolveGuarantors({ borrowerId: req.user._id, guarantors, loanAmount })
+      : [];
+
+    const loan = new Loan({
+      user: req.user.id,
+      loanAmount,
+      loanPurpose,
+      loanTerm,
+      interestRate,
+      lender: product.lender._id,
+      product: product._id,
+      lenderName: product.lender.name,
+      monthlyIncome,
+      employmentStatus,
+      status: 'Pending',
+      paymentHistory: [],
+      remainingTerm: loanTerm,
+      refinance,
+      collateral,
+      guarantors: guarantorEntries,
+      loanType: isCreditLine ? 'Credit' : 'Term',
+      // A credit line's limit is the amount applied for
+      ...(isCreditLine && {
+        creditLimit: loanAmount,
+        creditLine: {
+          minimumPaymentPercent: product.minimumPaymentPercent,
+          minimumPaymentFloor: product.minimumPaymentFloor || 0
+        }
+      })
     });
 
-    res.json({
-      success: true,
-      count: enhancedLoans.length,
-      loans: enhancedLoans
+    // Underwrite against the applicant's open loans before saving. Loans
+    // this one refinances will be paid off, so they do not count.
+    const openLoans = await Loan.find({
+      _id: { $nin: refinanceLoanIds },
+      user: req.user._id,
+      status: { $in: ['Active', 'Defaulted'] }
     });
-  } catch (error) {
-    console.error('Get loans error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error fetching loans'
+    const underwriting = evaluateApplication({
+      application: { loanAmount, loanTerm, interestRate, monthlyIncome, employmentStatus },
+      user: req.user,
+      openLoans
     });
-  }
-});
+    loan.underwriting = underwriting;
 
-// Get loan details for credit report - primary endpoint for frontend
-router.get('/credit-report', authenticate, async (req, res) => {
-  try {
-    const loans = await Loan.find({ user: req.user.id })
-      .select('_id loanAmount loanPurpose loanTerm interestRate status lenderName monthlyPayment repaymentSchedule createdAt paymentHistory remainingTerm creditLimit loanType')
-      .lean();
-
-    if (!loans || loans.length === 0) {
-      return res.json({
-        creditScore: 0,
-        scoreRange: 'No Credit History',
-        accounts: [],
-        inquiries: [],
-        publicRecords: [],
-        creditUtilization: '0%',
-        totalDebt: 0,
-        availableCredit: 0,
-        openAccounts: 0
+    if (underwriting.decision === 'decline') {
+      const reason = underwriting.reasons
+        .filter(r => r.outcome === 'decline')
+        .map(r => r.message)
+        .join('; ');
+      loan.transitionTo('Rejected', { reason: `Automatic decline: ${reason}` });
+      loan.rejectionReason = reason;
+    } else if (underwriting.decision === 'approve' && guarantorEntries.length === 0) {
+      loan.transitionTo('Approved', { reason: 'Automatic approval' });
+      loan.approvedAt = underwriting.evaluatedAt;
+    }
+
+    // Generate repayment schedule; a credit line's is built from its statements
+    if (!isCreditLine) loan.generateRepaymentSchedule();
+    await loan.save();
+    notifyLoanStatus(loan);
+
+    // Guarantors are only asked once the application is still open
+    if (loan.status === 'Pending') {
+      loan.guarantors.forEach(guarantor => {
+        notifyQuietly(guarantor.user, 'guarantee_requested', {
+          loanId: loan._id,
+          borrowerName: `${req.user.firstName} ${req.user.lastName}`,
+          loanAmount: loan.loanAmount,
+          guaranteedAmount: guarantor.guaranteedAmount
+        }, { dedupeKey: `loan:${loan._id}:guarantee:${guarantor.user}` });
       });
     }
 
-    // Calculate credit score
-    const calculateCreditScore = (loans) => {
-      if (loans.length === 0) return 0;
-      
-      let score = 650; // Base score
-      
-      // Payment history (40% weight)
-      const paymentHistoryScore = loans.reduce((sum, loan) => {
-        const paid = (loan.paymentHistory || []).filter(p => p === 'paid').length;
-        const total = (loan.paymentHistory || []).length || 1;
-        return sum + (paid / total);
-      }, 0) / loans.length * 400;
-
-      // Credit utilization (20% weight)
-      const totalDebt = loans.reduce((sum, loan) => 
-        loan.status === 'Active' ? sum + (loan.loanAmount || 0) : sum, 0);
-      const totalCredit = loans.reduce((sum, loan) => 
-        loan.status === 'Active' && loan.loanType === 'Credit' ? sum + (loan.creditLimit || 0) : sum, 0);
-      const utilization = totalCredit > 0 ? totalDebt / totalCredit : 0;
-      const utilizationScore = (1 - Math.min(utilization, 1)) * 200;
-
-      // Loan mix (10% weight)
-      const loanTypes = new Set(loans.map(loan => loan.loanPurpose));
-      const mixScore = loanTypes.size * 10;
-
-      // Status factors (30% weight)
-      const paidLoans = loans.filter(loan => loan.status === 'Paid').length;
-      const activeLoans = loans.filter(loan => loan.status === 'Active').length;
-      const defaultedLoans = loans.filter(loan => loan.status === 'Defaulted').length;
-      
-      const statusScore = paidLoans * 5 + activeLoans * 3 - defaultedLoans * 10;
-
-      score = paymentHistoryScore + utilizationScore + mixScore + statusScore;
-      
-      return Math.min(Math.max(Math.round(score), 300), 850);
+    const messages = {
+      approve: 'Loan application approved',
+      refer: 'Loan application submitted for review',
+      decline: 'Loan application declined'
+    };
+    const message = underwriting.decision === 'approve' && loan.status === 'Pending'
+      ? 'Loan application submitted; it will be approved once your guarantors accept'
+      : messages[underwriting.decision];
+
+    res.status(201).json({
+      success: true,
+      message,
+      loan: {
+        id: loan._id,
+        status: loan.status,
+        loanAmount: loan.loanAmount,
+        loanPurpose: loan.loanPurpose,
+        lenderName: loan.lenderName,
+        ...(loan.collateral.length > 0 && { collateral: loan.collateral, loanToValue: loan.loanToValue }),
+        ...(loan.guarantors.length > 0 && { guarantors: loan.guarantors })
+      },
+      ...(refinance && { refinance }),
+      underwriting: {
+        decision: underwriting.decision,
+        dti: underwriting.dti,
+        reasons: underwriting.reasons
+      }
+    });
+  })
+);
+
+// Get user's loans with enhanced data for credit report
+// ?status=Active,Completed&purpose=&from=&to=&minAmount=&maxAmount=&sort=-loanAmount&page=&limit=
+router.get('/my-loans', authenticate, authorize('user', 'premium'), validate(schemas.myLoans), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.myLoans.list);
+
+  const { items: loans, pagination } = await paginate(Loan, { user: req.user._id }, listQuery, query => query
+    .select('_id loanAmount loanPurpose loanTerm interestRate status lenderName monthlyPayment repaymentSchedule createdAt paymentHistory remainingTerm collateral creditLimit loanType restructured')
+    .lean());
+
+  // Enhance loan data for credit report
+  const enhancedLoans = loans.map(loan => {
+    const paidPayments = loan.paymentHistory?.filter(p => p === 'paid').length || 0;
+    const totalPayments = loan.paymentHistory?.length || 0;
+    const paymentPercentage = totalPayments > 0 ? Math.round((paidPayments / totalPayments) * 100) : 0;
+    
+    return {
+      ...loan,
+      paymentHistory: loan.paymentHistory || [],
+      remainingTerm: loan.remainingTerm || (loan.loanTerm - paidPayments),
+      nextPaymentDate: loan.repaymentSchedule?.find(p => p.status === 'Pending')?.dueDate || null,
+      paymentPercentage,
+      originalAmount: loan.loanAmount,
+      loanType: loan.loanType || 'Term', // Default to Term loan if not specified
+      creditLimit: loan.creditLimit || 0
     };
+  });
+
+  res.json({
+    success: true,
+    count: enhancedLoans.length,
+    total: pagination.total,
+    pagination,
+    loans: enhancedLoans
+  });
+}));
+
+// Get loan details for credit report - primary endpoint for frontend
+router.get('/credit-report', authenticate, authorize('user', 'premium'), validate(schemas.creditReport), asyncHandler(async (req, res) => {
+  // Scores the user, persists the result and returns the loans it used
+  const [{ score, scoreRange, factors, reasons, loans }, { guarantees, totalExposure }] = await Promise.all([
+    refreshCreditScore(req.user._id),
+    guaranteeExposure(req.user._id)
+  ]);
+
+  if (!loans || loans.length === 0) {
+    return res.json({
+      creditScore: 0,
+      scoreRange: 'No Credit History',
+      scoreReasons: [],
+      accounts: [],
+      inquiries: [],
+      publicRecords: [],
+      creditUtilization: '0%',
+      totalDebt: 0,
+      availableCredit: 0,
+      openAccounts: 0,
+      guarantees,
+      guaranteeExposure: totalExposure
+    });
+  }
+
+  const now = new Date();
+  const isOpen = loan => ['Active', 'Defaulted'].includes(loan.status);
+
+  // Credit line balances include interest accrued up to today (not saved)
+  const creditLines = loans.filter(loan => isOpen(loan) && loan.loanType === 'Credit');
+  creditLines.forEach(loan => loan.accrueCreditInterest(now));
 
-    const creditScore = calculateCreditScore(loans);
-    const scoreRange = 
-      creditScore >= 720 ? 'Excellent' :
-      creditScore >= 650 ? 'Good' :
-      creditScore >= 580 ? 'Fair' : 'Poor';
+  const totalDebt = Math.round(loans.reduce((sum, loan) => 
+    isOpen(loan) ? sum + loan.outstandingBalance : sum, 0) * 100) / 100;
 
-    const totalDebt = loans.reduce((sum, loan) => 
-      loan.status === 'Active' ? sum + (loan.loanAmount || 0) : sum, 0);
+  const availableCredit = roundMoney(creditLines.reduce((sum, loan) => sum + loan.availableCredit, 0));
 
-    const availableCredit = loans.reduce((sum, loan) => 
-      loan.status === 'Active' && loan.loanType === 'Credit' ? 
-      sum + (loan.creditLimit || 0) - (loan.loanAmount || 0) : sum, 0);
+  // Revolving utilization: credit line balances against their limits
+  const totalCreditLimit = creditLines.reduce((sum, loan) => sum + (loan.creditLimit || 0), 0);
+  const revolvingBalance = creditLines.reduce((sum, loan) => sum + loan.outstandingBalance, 0);
+  const creditUtilization = totalCreditLimit > 0
+    ? `${Math.round((revolvingBalance / totalCreditLimit) * 100)}%`
+    : '0%';
 
-    const creditUtilization = availableCredit > 0 
-      ? `${Math.round((totalDebt / (totalDebt + availableCredit)) * 100)}%`
-      : '0%';
+  const response = {
+    creditScore: score || 0,
+    scoreRange,
+    scoreFactors: factors,
+    scoreReasons: reasons,
+    accounts: loans.map(loan => {
+      const schedule = loan.repaymentSchedule || [];
+      const open = schedule.filter(p => !Loan.CLOSED_INSTALLMENT_STATUSES.includes(p.status));
+      const nextPayment = open[0];
+      const remainingTerm = open.length;
 
-    const response = {
-      creditScore,
-      scoreRange,
-      accounts: loans.map(loan => ({
+      return {
         id: loan._id,
         name: loan.lenderName || 'Personal Loan',
         type: loan.loanPurpose ? `${loan.loanPurpose} Loan` : 'Personal Loan',
         status: loan.status || 'Pending',
-        balance: loan.loanAmount || 0,
-        originalAmount: loan.originalAmount || loan.loanAmount || 0,
+        balance: isOpen(loan) ? loan.outstandingBalance : 0,
+        originalAmount: loan.loanAmount || 0,
         payment: loan.monthlyPayment || 0,
         interestRate: loan.interestRate ? `${loan.interestRate}%` : 'N/A',
-        opened: loan.createdAt ? loan.createdAt.toISOString() : 'N/A',
+        opened: (loan.disbursedAt || loan.createdAt) ? (loan.disbursedAt || loan.createdAt).toISOString() : 'N/A',
         term: loan.loanTerm ? `${loan.loanTerm} months` : 'N/A',
-        remainingTerm: loan.remainingTerm ? `${loan.remainingTerm} months` : 'N/A',
-        paymentHistory: loan.paymentHistory || [],
-        nextPaymentDate: loan.nextPaymentDate ? loan.nextPaymentDate.toISOString() : 'N/A',
-        collateral: loan.collateral || 'N/A',
+        remainingTerm: isOpen(loan) ? `${remainingTerm} months` : 'N/A',
+        paymentHistory: schedule.filter(p => p.dueDate <= now).map(p => p.status.toLowerCase()),
+        daysPastDue: loan.daysPastDue || 0,
+        nextPaymentDate: isOpen(loan) && nextPayment ? nextPayment.dueDate.toISOString() : 'N/A',
+        collateral: loan.collateral?.length ? loan.collateral : 'N/A',
+        loanToValue: loan.loanToValue,
+        guarantors: loan.guarantors?.length || 0,
         repaymentPlan: loan.repaymentPlan || 'Standard',
         creditLimit: loan.creditLimit || 0,
-        loanType: loan.loanType || 'Term'
+        loanType: loan.loanType || 'Term',
+        ...(loan.loanType === 'Credit' && {
+          availableCredit: loan.availableCredit,
+          utilization: loan.utilization
+        }),
+        restructured: Boolean(loan.restructured),
+        restructuredAt: loan.restructuredAt || null
+      };
+    }),
+    inquiries: [],
+    publicRecords: [],
+    creditUtilization,
+    totalCreditLimit,
+    totalDebt,
+    availableCredit,
+    openAccounts: loans.filter(isOpen).length,
+    // Contingent debt: what the user could owe on loans they have guaranteed
+    guarantees,
+    guaranteeExposure: totalExposure
+  };
+
+  res.json(response);
+}));
+
+// Dated score snapshots, newest first
+router.get('/credit-score/history', authenticate, authorize('user', 'premium'), validate(schemas.creditScoreHistory), asyncHandler(async (req, res) => {
+  const snapshots = await CreditScoreSnapshot.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(req.query.limit)
+    .lean();
+
+  res.json({
+    success: true,
+    currentScore: req.user.creditScore,
+    count: snapshots.length,
+    history: snapshots.map(snapshot => ({
+      score: snapshot.score,
+      scoreRange: snapshot.scoreRange,
+      reasons: snapshot.reasons,
+      date: snapshot.createdAt
+    }))
+  });
+}));
+
+// Run the delinquency engine on demand (it also runs on a schedule). Safe to repeat.
+router.post('/delinquency/run', authenticate, authorize('admin'), validate(schemas.runDelinquency), asyncHandler(async (req, res) => {
+  const totals = await runDelinquencyCheck();
+  res.json({
+    success: true,
+    ...totals
+  });
+}));
+
+// Loans the user has been asked to guarantee, with their answer
+router.get('/guarantees', authenticate, authorize('user', 'premium'), validate(schemas.guarantees), asyncHandler(async (req, res) => {
+  const loans = await findGuarantees(req.user._id);
+
+  res.json({
+    success: true,
+    count: loans.length,
+    guarantees: loans.map(loan => {
+      const guarantor = loan.guarantors.find(entry => entry.user.equals(req.user._id));
+      return {
+        loanId: loan._id,
+        borrowerPhone: loan.user?.phone,
+        loanAmount: loan.loanAmount,
+        loanPurpose: loan.loanPurpose,
+        loanTerm: loan.loanTerm,
+        loanStatus: loan.status,
+        guaranteedAmount: guarantor.guaranteedAmount,
+        status: guarantor.status,
+        respondedAt: guarantor.respondedAt || null,
+        requestedAt: loan.createdAt
+      };
+    })
+  });
+}));
+
+// Get loan details
+router.get('/:id', authenticate, authorize('user', 'premium'), validate(schemas.getLoan), asyncHandler(async (req, res) => {
+  const loan = await Loan.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!loan) throw new NotFoundError('Loan not found');
+
+  const isCreditLine = loan.loanType === 'Credit' && Boolean(loan.creditLine?.openedAt);
+  if (isCreditLine) loan.accrueCreditInterest(new Date());
+
+  res.json({
+    success: true,
+    loan: {
+      id: loan._id,
+      loanAmount: loan.loanAmount,
+      loanPurpose: loan.loanPurpose,
+      loanTerm: loan.loanTerm,
+      interestRate: loan.interestRate,
+      status: loan.status,
+      lenderName: loan.lenderName,
+      monthlyPayment: loan.monthlyPayment,
+      nextPayment: loan.repaymentSchedule.find(p => p.status === 'Pending'),
+      outstandingBalance: loan.outstandingBalance,
+      totalRepayment: loan.totalRepayment,
+      repaymentSchedule: loan.repaymentSchedule.map(p => ({
+        id: p._id,
+        dueDate: p.dueDate,
+        amount: p.amount,
+        principal: p.principal,
+        interest: p.interest,
+        balance: p.balance,
+        paidAmount: p.paidAmount,
+        status: p.status,
+        paidDate: p.paidDate
       })),
-      inquiries: [],
-      publicRecords: [],
-      creditUtilization,
-      totalDebt,
-      availableCredit,
-      openAccounts: loans.length
-    };
+      paymentHistory: loan.paymentHistory || [],
+      collateral: loan.collateral?.length ? loan.collateral : null,
+      collateralValue: loan.collateralValue,
+      loanToValue: loan.loanToValue,
+      guarantors: loan.guarantors.map(guarantor => ({
+        id: guarantor._id,
+        guaranteedAmount: guarantor.guaranteedAmount,
+        status: guarantor.status,
+        respondedAt: guarantor.respondedAt || null
+      })),
+      creditLimit: loan.creditLimit || 0,
+      loanType: loan.loanType || 'Term',
+      restructured: Boolean(loan.restructured),
+      restructuredAt: loan.restructuredAt || null,
+      scheduleVersion: loan.scheduleVersion || 1,
+      refinance: loan.refinance?.loans?.length ? loan.refinance : null,
+      refinancedBy: loan.refinancedBy || null,
+      creditLine: isCreditLine ? creditLineSummary(loan, { transactions: 5 }) : null
+    }
+  });
+}));
+
+// Early settlement quote - GET /api/loans/:id/payoff?date=YYYY-MM-DD
+router.get('/:id/payoff', authenticate, authorize('user', 'premium', 'officer', 'admin'), validate(schemas.payoff), asyncHandler(async (req, res) => {
+  const asOf = req.query.date || new Date();
+
+  const filter = req.userType === 'staff'
+    ? { _id: req.params.id }
+    : { _id: req.params.id, user: req.user._id };
+  const loan = await Loan.findOne(filter);
+
+  if (!loan) throw new NotFoundError('Loan not found');
+
+  if (!['Active', 'Defaulted'].includes(loan.status)) {
+    throw new ConflictError(`No payoff quote available for a ${loan.status} loan`, { code: 'INVALID_LOAN_STATE' });
+  }
 
-    res.json(response);
-  } catch (error) {
-    console.error('Credit report error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error generating credit report'
+  if (loan.loanType === 'Credit') {
+    throw new ConflictError('A credit line is paid off at its current balance; see its credit line summary', {
+      code: 'CREDIT_LINE_NOT_SUPPORTED'
     });
   }
-});
 
-// Get loan details
-router.get('/:id', authenticate, async (req, res) => {
-  try {
-    const loan = await Loan.findOne({
-      _id: req.params.id,
-      user: req.user.id
+  if (loan.disbursedAt && asOf < loan.disbursedAt) {
+    throw new BadRequestError('Payoff date cannot be before the disbursement date');
+  }
+
+  res.json({
+    success: true,
+    loanId: loan._id,
+    quote: loan.payoffQuote(asOf)
+  });
+}));
+
+// Record a repayment against a loan. Borrowers pay their own loans; staff can
+// record payments (e.g. cash at a branch) on any loan.
+router.post('/:id/payments',
+  authenticate,
+  authorize('user', 'premium', 'officer', 'admin'),
+  validate(schemas.recordPayment),
+  idempotency,
+  asyncHandler(async (req, res) => {
+    const isStaff = req.userType === 'staff';
+    const filter = isStaff
+      ? { _id: req.params.id }
+      : { _id: req.params.id, user: req.user._id };
+
+    const { loan, payment } = await recordLoanPayment({
+      filter,
+      amount: req.body.amount,
+      paymentMethod: req.body.paymentMethod,
+      reference: req.body.reference,
+      recordedBy: isStaff ? req.user._id : undefined
     });
 
-    if (!loan) {
-      return res.status(404).json({
-        success: false,
-        message: 'Loan not found'
-      });
+    notifyQuietly(loan.user._id || loan.user, 'payment_received', {
+      loanId: loan._id,
+      amount: payment.amount,
+      reference: payment.reference,
+      outstandingBalance: loan.outstandingBalance
+    }, { dedupeKey: `payment:${payment._id}` });
+    if (loan.status === 'Completed') notifyLoanStatus(loan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        reference: payment.reference,
+        paymentDate: payment.paymentDate,
+        allocations: payment.allocations
+      },
+      loan: {
+        id: loan._id,
+        status: loan.status,
+        outstandingBalance: loan.outstandingBalance
+      }
+    });
+  })
+);
+
+// Pay a loan from a mobile wallet. Returns once the collection request is
+// with the provider; the payment is applied when the provider calls back.
+router.post('/:id/payments/mobile',
+  authenticate,
+  authorize('user', 'premium'),
+  validate(schemas.mobilePayment),
+  idempotency,
+  asyncHandler(async (req, res) => {
+    const { payment } = await initiateMobilePayment({
+      filter: { _id: req.params.id, user: req.user._id },
+      amount: req.body.amount,
+      msisdn: req.body.msisdn || req.user.phone,
+      providerName: req.body.provider
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Approve the payment on your phone to complete it',
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        reference: payment.reference,
+        provider: payment.provider,
+        status: payment.status
+      }
+    });
+  })
+);
+
+// --- Guarantees ---
+
+// A guarantor accepts or declines guaranteeing a pending application
+router.patch('/:id/guarantee', authenticate, authorize('user', 'premium'), requireVerifiedPhone, validate(schemas.respondToGuarantee), asyncHandler(async (req, res) => {
+  const { accept, reason } = req.body;
+  const { loan, guarantor, approved } = await respondToGuarantee({
+    loanId: req.params.id,
+    userId: req.user._id,
+    accept,
+    reason: reason || undefined
+  });
+
+  notifyQuietly(loan.user._id || loan.user, 'guarantee_answered', {
+    loanId: loan._id,
+    guarantorName: `${req.user.firstName} ${req.user.lastName}`,
+    accepted: accept
+  }, { dedupeKey: `loan:${loan._id}:guarantee:${guarantor.user}:answered` });
+  if (approved) notifyLoanStatus(loan);
+
+  res.json({
+    success: true,
+    message: accept ? 'Guarantee accepted' : 'Guarantee declined',
+    guarantee: {
+      loanId: loan._id,
+      guaranteedAmount: guarantor.guaranteedAmount,
+      status: guarantor.status,
+      respondedAt: guarantor.respondedAt
+    },
+    loanStatus: loan.status
+  });
+}));
+
+// --- Collateral (staff/admin) ---
+
+// Loans whose collateral may be released
+const CLOSED_STATUSES = ['Rejected', 'Completed'];
+
+// Record a revaluation or a change to the lien on one collateral item
+router.patch('/:id/collateral/:collateralId', authenticate, authorize('officer', 'admin'), validate(schemas.updateCollateral), asyncHandler(async (req, res) => {
+  const loan = await Loan.findById(req.params.id);
+  const item = loan?.collateral.id(req.params.collateralId);
+
+  if (!item) throw new NotFoundError('Collateral not found');
+
+  const { lienStatus } = req.body;
+  if (lienStatus === 'Released' && !CLOSED_STATUSES.includes(loan.status)) {
+    throw new ConflictError(`Cannot release collateral on a ${loan.status} loan`, { code: 'LIEN_ON_OPEN_LOAN' });
+  }
+
+  item.set(req.body);
+  if (lienStatus && item.isModified('lienStatus')) item.lienUpdatedAt = new Date();
+  await loan.save();
+
+  res.json({
+    success: true,
+    message: 'Collateral updated',
+    collateral: item,
+    collateralValue: loan.collateralValue,
+    loanToValue: loan.loanToValue
+  });
+}));
+
+// --- Credit lines ---
+
+// The borrower's credit line position; staff can view any line
+router.get('/:id/credit-line', authenticate, authorize('user', 'premium', 'officer', 'admin'), validate(schemas.creditLine), asyncHandler(async (req, res) => {
+  const filter = req.userType === 'staff'
+    ? { _id: req.params.id }
+    : { _id: req.params.id, user: req.user._id };
+  const loan = await Loan.findOne(filter);
+
+  if (!loan) throw new NotFoundError('Loan not found');
+  assertCreditLine(loan);
+
+  if (!loan.creditLine.openedAt) {
+    throw new ConflictError(`The credit line is not open yet (the application is ${loan.status})`, {
+      code: 'CREDIT_LINE_NOT_ACTIVE'
+    });
+  }
+  loan.accrueCreditInterest(new Date());
+
+  res.json({
+    success: true,
+    loanId: loan._id,
+    status: loan.status,
+    creditLine: creditLineSummary(loan, { transactions: req.query.transactions })
+  });
+}));
+
+// Draw funds from the borrower's own credit line
+router.post('/:id/draws',
+  authenticate,
+  authorize('user', 'premium'),
+  requireVerifiedPhone,
+  validate(schemas.draw),
+  idempotency,
+  asyncHandler(async (req, res) => {
+    const { loan, draw } = await drawFromCreditLine({
+      filter: { _id: req.params.id, user: req.user._id },
+      amount: req.body.amount,
+      description: req.body.description
+    });
+
+    notifyQuietly(loan.user._id || loan.user, 'credit_drawn', {
+      loanId: loan._id,
+      amount: draw.amount,
+      reference: draw.reference,
+      availableCredit: loan.availableCredit
+    }, { dedupeKey: `draw:${draw._id}` });
+
+    res.status(201).json({
+      success: true,
+      message: 'Funds drawn',
+      draw: {
+        id: draw._id,
+        amount: draw.amount,
+        reference: draw.reference,
+        date: draw.date
+      },
+      creditLine: {
+        balance: loan.outstandingBalance,
+        availableCredit: loan.availableCredit,
+        utilization: loan.utilization
+      }
+    });
+  })
+);
+
+// --- Restructuring (staff/admin) ---
+
+// Reschedule a loan for a borrower in hardship. The loan keeps its status;
+// arrears are capitalized, so it is current again afterwards.
+router.post('/:id/restructure',
+  authenticate,
+  authorize('officer', 'admin'),
+  validate(schemas.restructure),
+  idempotency,
+  asyncHandler(async (req, res) => {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) throw new NotFoundError('Loan not found');
+
+    if (!PAYABLE_STATUSES.includes(loan.status)) {
+      throw new ConflictError(`Cannot restructure a ${loan.status} loan`, { code: 'INVALID_LOAN_STATE' });
     }
 
+    if (loan.loanType === 'Credit') {
+      throw new ConflictError('Credit lines cannot be restructured', { code: 'CREDIT_LINE_NOT_SUPPORTED' });
+    }
+
+    const { extendTermMonths, interestRate, holidayMonths, reason } = req.body;
+    const restructuring = loan.restructure({
+      extendTermMonths,
+      interestRate,
+      holidayMonths,
+      reason,
+      restructuredBy: req.user._id
+    });
+    await loan.save();
+
+    notifyQuietly(loan.user._id || loan.user, 'loan_restructured', {
+      loanId: loan._id,
+      installment: restructuring.installment,
+      firstDueDate: restructuring.firstDueDate
+    }, { dedupeKey: `loan:${loan._id}:restructured:${loan.scheduleVersion}` });
+
     res.json({
       success: true,
+      message: 'Loan restructured',
+      restructuring,
       loan: {
         id: loan._id,
-        loanAmount: loan.loanAmount,
-        loanPurpose: loan.loanPurpose,
-        loanTerm: loan.loanTerm,
-        interestRate: loan.interestRate,
         status: loan.status,
-        lenderName: loan.lenderName,
+        interestRate: loan.interestRate,
+        loanTerm: loan.loanTerm,
+        scheduleVersion: loan.scheduleVersion,
         monthlyPayment: loan.monthlyPayment,
-        nextPayment: loan.repaymentSchedule.find(p => p.status === 'Pending'),
-        paymentHistory: loan.paymentHistory || [],
-        collateral: loan.collateral || null,
-        creditLimit: loan.creditLimit || 0,
-        loanType: loan.loanType || 'Term'
+        outstandingBalance: loan.outstandingBalance,
+        repaymentSchedule: loan.repaymentSchedule
       }
     });
-  } catch (error) {
-    console.error('Get loan error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error fetching loan details'
-    });
-  }
+  })
+);
+
+// Schedules replaced by restructurings, oldest first
+router.get('/:id/schedule-history', authenticate, authorize('user', 'premium', 'officer', 'admin'), validate(schemas.scheduleHistory), asyncHandler(async (req, res) => {
+  const filter = req.userType === 'staff'
+    ? { _id: req.params.id }
+    : { _id: req.params.id, user: req.user._id };
+  const loan = await Loan.findOne(filter).select('restructured restructuredAt scheduleVersion scheduleHistory');
+
+  if (!loan) throw new NotFoundError('Loan not found');
+
+  res.json({
+    success: true,
+    loanId: loan._id,
+    restructured: loan.restructured,
+    restructuredAt: loan.restructuredAt || null,
+    currentVersion: loan.scheduleVersion || 1,
+    history: loan.scheduleHistory
+  });
+}));
+
+// --- Loan decisioning (staff/admin) ---
+// Builds a handler that moves a loan to `targetStatus` through the state machine
+// on the Loan model. `apply` sets any status-specific fields before saving; it
+// runs in the same transaction as the status change, and may return other
+// loans it changed so their borrowers are notified once it commits.
+// Whether a reason is required is part of each route's schema.
+const decideLoan = (targetStatus, { apply } = {}) => asyncHandler(async (req, res) => {
+  const reason = req.body.reason || '';
+  const now = new Date();
+
+  const { loan, affected } = await inTransaction(async (session) => {
+    const loan = await Loan.findById(req.params.id).session(session);
+
+    if (!loan) throw new NotFoundError('Loan not found');
+
+    if (!loan.canTransitionTo(targetStatus)) {
+      throw new ConflictError(`Cannot move loan from ${loan.status} to ${targetStatus}`, {
+        code: 'INVALID_TRANSITION',
+        extra: { allowedTransitions: Loan.TRANSITIONS[loan.status] || [] }
+      });
+    }
+
+    const affected = (apply && await apply(loan, { req, reason, now, session })) || [];
+    loan.transitionTo(targetStatus, { changedBy: req.user._id, reason: reason || undefined });
+    await loan.save({ session });
+
+    return { loan, affected };
+  });
+
+  [loan, ...affected].forEach(notifyLoanStatus);
+
+  res.json({
+    success: true,
+    message: `Loan ${targetStatus.toLowerCase()}`,
+    loan: {
+      id: loan._id,
+      status: loan.status,
+      approvedAt: loan.approvedAt,
+      disbursedAt: loan.disbursedAt,
+      completedAt: loan.completedAt,
+      defaultedAt: loan.defaultedAt,
+      rejectionReason: loan.rejectionReason,
+      defaultReason: loan.defaultReason,
+      ...(loan.refinance?.loans?.length && { refinance: loan.refinance }),
+      repaymentSchedule: loan.repaymentSchedule
+    }
+  });
 });
 
+router.patch('/:id/approve', authenticate, authorize('officer', 'admin'), validate(schemas.approve), decideLoan('Approved', {
+  apply: (loan, { req, now }) => {
+    assertGuarantorsAccepted(loan);
+    loan.approvedBy = req.user._id;
+    loan.approvedAt = now;
+  }
+}));
+
+router.patch('/:id/reject', authenticate, authorize('officer', 'admin'), validate(schemas.reject), decideLoan('Rejected', {
+  apply: (loan, { reason }) => {
+    loan.rejectionReason = reason;
+  }
+}));
+
+// Disbursement starts the clock: the schedule is rebuilt from the disbursement date.
+// A refinance first pays off the loans it replaces; only the rest is paid out.
+// A credit line is opened instead, with nothing drawn.
+router.patch('/:id/disburse', authenticate, authorize('officer', 'admin'), validate(schemas.disburse), decideLoan('Active', {
+  apply: async (loan, { req, now, session }) => {
+    loan.disbursedAt = now;
+    if (loan.loanType === 'Credit') {
+      loan.openCreditLine(now);
+      return;
+    }
+    loan.generateRepaymentSchedule(now);
+    if (loan.refinance?.loans?.length) {
+      return settleRefinancedLoans(loan, { session, settledBy: req.user._id, asOf: now });
+    }
+  }
+}));
+
+// Only a loan with nothing left to pay can be closed; settlements and
+// repayments bring the balance to zero first
+router.patch('/:id/close', authenticate, authorize('admin'), validate(schemas.close), decideLoan('Completed', {
+  apply: (loan, { now }) => {
+    if (loan.loanType === 'Credit') loan.accrueCreditInterest(now);
+    if (loan.outstandingBalance > 0) {
+      throw new ConflictError(`Cannot close a loan with ${loan.outstandingBalance} still outstanding`, {
+        code: 'BALANCE_OUTSTANDING',
+        extra: { outstandingBalance: loan.outstandingBalance }
+      });
+    }
+    loan.completedAt = now;
+  }
+}));
+
+router.patch('/:id/default', authenticate, authorize('admin'), validate(schemas.markDefault), decideLoan('Defaulted', {
+  apply: (loan, { reason, now }) => {
+    loan.defaultedAt = now;
+    loan.defaultReason = reason;
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
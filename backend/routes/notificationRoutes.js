@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/notifications');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+const PREFERENCE_FIELDS = ['sms', 'email', 'inApp', 'reminderDaysBefore'];
+
+// GET /api/notifications?unread=true&from=&to=&page=&limit= - the user's in-app inbox
+router.get('/', authenticate, authorize('user', 'premium'), validate(schemas.inbox), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.inbox.list);
+
+  const scope = { user: req.user._id, channel: 'in_app' };
+  if (req.query.unread) scope.readAt = null;
+
+  const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+    paginate(Notification, scope, listQuery, query => query
+      .select('template title body data readAt createdAt')
+      .lean()),
+    Notification.countDocuments({ user: req.user._id, channel: 'in_app', readAt: null })
+  ]);
+
+  res.json({
+    success: true,
+    unreadCount,
+    count: notifications.length,
+    total: pagination.total,
+    pagination,
+    notifications
+  });
+}));
+
+// PATCH /api/notifications/read-all
+router.patch('/read-all', authenticate, authorize('user', 'premium'), validate(schemas.readAll), asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, channel: 'in_app', readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.json({
+    success: true,
+    updated: result.modifiedCount
+  });
+}));
+
+// GET /api/notifications/preferences
+router.get('/preferences', authenticate, authorize('user', 'premium'), validate(schemas.getPreferences), (req, res) => {
+  res.json({
+    success: true,
+    preferences: req.user.notificationPreferences
+  });
+});
+
+// PUT /api/notifications/preferences
+router.put('/preferences', authenticate, authorize('user', 'premium'), validate(schemas.updatePreferences), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  for (const field of PREFERENCE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      user.notificationPreferences[field] = req.body[field];
+    }
+  }
+
+  await user.save();
+
+  res.json({
+    success: true,
+    preferences: user.notificationPreferences
+  });
+}));
+
+// GET /api/notifications/deliveries?status=failed&channel=&template=&user=&page= - delivery log for staff
+router.get('/deliveries', authenticate, authorize('officer', 'admin'), validate(schemas.deliveries), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.deliveries.list);
+
+  // An explicit ?channel= narrows this; in-app rows are never part of the delivery log
+  const scope = listQuery.filter.channel ? {} : { channel: { $ne: 'in_app' } };
+  const { items: notifications, pagination } = await paginate(Notification, scope, listQuery, query => query.lean());
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    total: pagination.total,
+    pagination,
+    notifications
+  });
+}));
+
+// PATCH /api/notifications/:id/read
+router.patch('/:id/read', authenticate, authorize('user', 'premium'), validate(schemas.markRead), asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, channel: 'in_app' },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  );
+
+  if (!notification) throw new NotFoundError('Notification not found');
+
+  res.json({
+    success: true,
+    notification
+  });
+}));
+
+module.exports = router;
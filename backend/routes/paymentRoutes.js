@@ -1,37 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const Payment = require('../models/Payment');
-const jwt = require('jsonwebtoken');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { handleProviderCallback } = require('../services/mobileMoney');
+const { getProvider } = require('../services/paymentProviders');
+const { notifyQuietly, notifyLoanStatus } = require('../services/notifications');
+const { parseListQuery, paginate, setPaginationHeaders } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/payments');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
 
-// Middleware to verify JWT
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
+// Process a provider callback and tell the borrower about the outcome
+const processCallback = async (providerName, rawBody, headers) => {
+  const { payment, loan, duplicate } = await handleProviderCallback(providerName, rawBody, headers);
 
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Unauthorized' });
+  if (!duplicate && payment.status === 'completed' && loan) {
+    notifyQuietly(payment.user, 'payment_received', {
+      loanId: loan._id,
+      amount: payment.amount,
+      reference: payment.reference,
+      outstandingBalance: loan.outstandingBalance
+    }, { dedupeKey: `payment:${payment._id}` });
+    if (loan.status === 'Completed') notifyLoanStatus(loan);
   }
 
-  const token = authHeader.split(' ')[1];
-
-  try {
-    const decoded = jwt.verify(token, 'your_jwt_secret'); // Replace with your secret
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
-  }
+  return payment;
 };
 
-// GET /api/payment-history
-router.get('/payment-history', authenticate, async (req, res) => {
-  try {
-    // Find payments related to the logged-in user
-    const payments = await Payment.find({ user: req.user.id }).sort({ paymentDate: -1 });
-    res.json(payments);
-  } catch (error) {
-    console.error('Error fetching payment history:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// GET /api/payment-history?status=&method=&loan=&from=&to=&minAmount=&maxAmount=&sort=&page=&limit=
+// The body stays a bare array for existing clients; paging details go in X-Total-Count etc.
+router.get('/payment-history', authenticate, authorize('user', 'premium'), validate(schemas.paymentHistory), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.paymentHistory.list);
+
+  // Find payments related to the logged-in user
+  const { items: payments, pagination } = await paginate(Payment, { user: req.user._id }, listQuery);
+  setPaginationHeaders(res, pagination);
+  res.json(payments);
+}));
+
+// GET /api/payments/:id - lets the app poll a pending mobile money payment
+router.get('/payments/:id', authenticate, authorize('user', 'premium'), validate(schemas.getPayment), asyncHandler(async (req, res) => {
+  const payment = await Payment.findOne({ _id: req.params.id, user: req.user._id })
+    .select('amount status reference paymentMethod provider failureReason paymentDate allocations loan');
+
+  if (!payment) throw new NotFoundError('Payment not found');
+
+  res.json({ success: true, payment });
+}));
+
+// POST /api/payments/webhooks/:provider - provider callbacks. Not authenticated
+// with a JWT; each provider verifies its own signature over the raw body.
+router.post('/payments/webhooks/:provider', validate(schemas.webhook), asyncHandler(async (req, res) => {
+  await processCallback(req.params.provider, req.rawBody, req.headers);
+  res.status(200).json({ success: true });
+}));
+
+// POST /api/payments/simulator/:id/complete|fail - development only. Produces a
+// signed simulator callback for a pending payment and runs it through the
+// webhook handler.
+router.post('/payments/simulator/:id/:outcome', authenticate, validate(schemas.simulate), asyncHandler(async (req, res) => {
+  const simulator = getProvider('simulator');
+  if (!simulator) throw new NotFoundError('Resource not found');
+
+  const filter = { _id: req.params.id, provider: 'simulator' };
+  if (req.userType !== 'staff') filter.user = req.user._id;
+
+  const pending = await Payment.findOne(filter);
+  if (!pending) throw new NotFoundError('Payment not found');
+
+  const { rawBody, headers } = simulator.buildCallback({
+    providerReference: pending.providerReference,
+    amount: pending.amount,
+    succeed: req.params.outcome === 'complete'
+  });
+  const payment = await processCallback('simulator', rawBody, headers);
+
+  res.json({ success: true, payment });
+}));
 
 module.exports = router;
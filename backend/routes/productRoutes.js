@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const Lender = require('../models/Lender');
+const LoanProduct = require('../models/LoanProduct');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { validate } = require('../validation');
+const schemas = require('../validation/products');
+const asyncHandler = require('../utils/asyncHandler');
+const pick = require('../utils/pick');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'lender', 'name', 'code', 'description', 'loanType', 'minimumPaymentPercent', 'minimumPaymentFloor',
+  'minAmount', 'maxAmount', 'minTerm', 'maxTerm', 'interestRate', 'maxLtv', 'allowedPurposes', 'active'
+];
+
+const findProduct = async (id) => {
+  const product = await LoanProduct.findById(id).populate('lender', 'name code active');
+  if (!product) throw new NotFoundError('Loan product not found');
+  return product;
+};
+
+const ensureLenderExists = async (lenderId) => {
+  if (!(await Lender.exists({ _id: lenderId }))) {
+    throw new BadRequestError('Lender not found', {
+      errors: [{ field: 'lender', location: 'body', message: 'lender does not exist' }]
+    });
+  }
+};
+
+// GET /api/products?lender=&purpose=&loanType= - active products; staff may pass ?includeInactive=true
+router.get('/', authenticate, validate(schemas.list), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (!(req.userType === 'staff' && req.query.includeInactive === true)) filter.active = true;
+  if (req.query.lender) filter.lender = req.query.lender;
+  if (req.query.purpose) filter.allowedPurposes = req.query.purpose;
+  // Products created before credit lines have no loanType and are term products
+  if (req.query.loanType) filter.loanType = req.query.loanType === 'Credit' ? 'Credit' : { $ne: 'Credit' };
+
+  const products = await LoanProduct.find(filter)
+    .populate('lender', 'name code active')
+    .sort({ name: 1 });
+
+  // Hide products whose lender has been deactivated from borrowers
+  const visible = req.userType === 'staff'
+    ? products
+    : products.filter(product => product.lender && product.lender.active);
+
+  res.json({
+    success: true,
+    count: visible.length,
+    products: visible
+  });
+}));
+
+// GET /api/products/:id - borrowers only see what the list shows them
+router.get('/:id', authenticate, validate(schemas.get), asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+  if (req.userType !== 'staff' && !(product.active && product.lender && product.lender.active)) {
+    throw new NotFoundError('Loan product not found');
+  }
+
+  res.json({
+    success: true,
+    product
+  });
+}));
+
+// POST /api/products - admin only
+router.post('/', authenticate, authorize('admin'), validate(schemas.create), asyncHandler(async (req, res) => {
+  await ensureLenderExists(req.body.lender);
+
+  const product = await LoanProduct.create(pick(req.body, EDITABLE_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    product
+  });
+}));
+
+// PATCH /api/products/:id - admin only. Pricing changes apply to new
+// applications; existing loans keep the rate they were priced at.
+router.patch('/:id', authenticate, authorize('admin'), validate(schemas.update), asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+
+  if (req.body.lender !== undefined) await ensureLenderExists(req.body.lender);
+
+  product.set(pick(req.body, EDITABLE_FIELDS));
+  await product.save();
+
+  res.json({
+    success: true,
+    product
+  });
+}));
+
+// DELETE /api/products/:id - admin only; deactivates the product
+router.delete('/:id', authenticate, authorize('admin'), validate(schemas.deactivate), asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+
+  product.active = false;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Loan product deactivated',
+    product
+  });
+}));
+
+module.exports = router;
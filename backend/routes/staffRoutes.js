@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const Staff = require('../models/Staff');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { createSession, setRefreshCookie, revokeAllSessions } = require('../services/sessions');
+const { LOCKOUT_FIELDS, checkLogin, lockedError } = require('../services/loginLockout');
+const { loginLimiter } = require('../middleware/security');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../validation');
+const schemas = require('../validation/staff');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const staffResponse = (staff) => ({
+  id: staff._id,
+  fullName: staff.fullName,
+  employeeId: staff.employeeId,
+  email: staff.email,
+  role: staff.role,
+  active: staff.active,
+  lastLoginAt: staff.lastLoginAt,
+  // Only known when the query selected lockUntil
+  lockedUntil: staff.isLoginLocked() ? staff.lockUntil : undefined
+});
+
+// POST /api/staff/login
+router.post('/login', loginLimiter, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const staff = await Staff.findOne({ email }).select(`+password +tokenVersion ${LOCKOUT_FIELDS}`);
+  const login = staff && staff.active && await checkLogin(staff, () => staff.comparePassword(password));
+
+  if (login?.lockedUntil) throw lockedError(login.lockedUntil);
+  if (!login?.ok) throw new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+
+  staff.lastLoginAt = new Date();
+  await staff.save();
+
+  const session = await createSession(staff, 'staff', req);
+  setRefreshCookie(res, session);
+
+  res.status(200).json({
+    success: true,
+    token: session.accessToken,
+    staff: staffResponse(staff)
+  });
+}));
+
+// GET /api/staff/me
+router.get('/me', authenticate, authorize('officer', 'admin'), validate(schemas.me), (req, res) => {
+  res.json({
+    success: true,
+    staff: staffResponse(req.user)
+  });
+});
+
+// GET /api/staff?role=&active=&sort=&page=&limit= - admin only
+router.get('/', authenticate, authorize('admin'), validate(schemas.list), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, schemas.list.list);
+  const { items: staff, pagination } = await paginate(Staff, {}, listQuery, query => query.select('+lockUntil'));
+
+  res.json({
+    success: true,
+    count: staff.length,
+    total: pagination.total,
+    pagination,
+    staff: staff.map(staffResponse)
+  });
+}));
+
+// POST /api/staff - admin only
+router.post('/', authenticate, authorize('admin'), validate(schemas.create), asyncHandler(async (req, res) => {
+  const { fullName, employeeId, email, password, role } = req.body;
+
+  const existing = await Staff.findOne({ $or: [{ email }, { employeeId }] });
+  if (existing) {
+    throw new ConflictError('Staff member with this email or employee ID already exists', { code: 'DUPLICATE_KEY' });
+  }
+
+  const staff = new Staff({
+    fullName,
+    employeeId,
+    email,
+    password,
+    role
+  });
+
+  await staff.save();
+
+  res.status(201).json({
+    success: true,
+    staff: staffResponse(staff)
+  });
+}));
+
+// PATCH /api/staff/:id - admin only; change role or (de)activate
+// Deactivating a staff member also ends all of their sessions.
+router.patch('/:id', authenticate, authorize('admin'), validate(schemas.update), asyncHandler(async (req, res) => {
+  const staff = await Staff.findById(req.params.id);
+  if (!staff) throw new NotFoundError('Staff member not found');
+
+  if (staff._id.equals(req.user._id) && (req.body.active === false || req.body.role === 'officer')) {
+    throw new BadRequestError('You cannot demote or deactivate your own account');
+  }
+
+  if (req.body.role !== undefined) staff.role = req.body.role;
+  if (req.body.active !== undefined) staff.active = req.body.active;
+
+  await staff.save();
+
+  if (!staff.active) {
+    await revokeAllSessions(staff._id, 'staff', 'account_disabled');
+  }
+
+  res.json({
+    success: true,
+    staff: staffResponse(staff)
+  });
+}));
+
+// PATCH /api/staff/:id/unlock - admin only; lifts a failed-login lock
+router.patch('/:id/unlock', authenticate, authorize('admin'), validate(schemas.unlock), asyncHandler(async (req, res) => {
+  const staff = await Staff.findById(req.params.id).select(LOCKOUT_FIELDS);
+  if (!staff) throw new NotFoundError('Staff member not found');
+
+  await staff.clearLoginFailures();
+
+  res.json({
+    success: true,
+    message: 'Staff account unlocked',
+    wasLocked: staff.isLoginLocked()
+  });
+}));
+
+module.exports = router;
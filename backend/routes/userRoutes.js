@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const authenticate = require('../middleware/authenticate');
+const authorize = require('../middleware/authorize');
+const { LOCKOUT_FIELDS } = require('../services/loginLockout');
+const { validate } = require('../validation');
+const schemas = require('../validation/users');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// Borrower account administration (staff only)
+
+// PATCH /api/users/:id/unlock - admin only; lifts a failed-login lock
+router.patch('/:id/unlock', authenticate, authorize('admin'), validate(schemas.unlock), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select(LOCKOUT_FIELDS);
+  if (!user) throw new NotFoundError('User not found');
+
+  await user.clearLoginFailures();
+
+  res.json({
+    success: true,
+    message: 'User account unlocked',
+    wasLocked: user.isLoginLocked()
+  });
+}));
+
+module.exports = router;
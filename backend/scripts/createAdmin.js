@@ -0,0 +1,52 @@
+// Bootstrap the first admin staff account.
+//
+//   ADMIN_EMAIL=... ADMIN_PASSWORD=... ADMIN_NAME=... ADMIN_EMPLOYEE_ID=... npm run create-admin
+//
+// Refuses to run once any admin exists; further staff are created through
+// POST /api/staff by an admin.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+
+const run = async () => {
+  const {
+    MONGODB_URI,
+    ADMIN_EMAIL,
+    ADMIN_PASSWORD,
+    ADMIN_NAME = 'Administrator',
+    ADMIN_EMPLOYEE_ID = 'ADMIN-001'
+  } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    if (await Staff.exists({ role: 'admin' })) {
+      console.error('An admin account already exists - nothing to do');
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = await Staff.create({
+      fullName: ADMIN_NAME,
+      employeeId: ADMIN_EMPLOYEE_ID,
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD,
+      role: 'admin'
+    });
+
+    console.log(`Created admin ${admin.email} (${admin.employeeId})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Failed to create admin:', err);
+  process.exitCode = 1;
+});
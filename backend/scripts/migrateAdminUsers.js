@@ -0,0 +1,62 @@
+// Move legacy admin users into staff accounts.
+//
+//   npm run migrate-admin-users            (add -- --dry-run to only list them)
+//
+// Admins used to be users with role 'admin'; they are now Staff. Each such
+// user gets an admin staff account with the same name, email and password,
+// and is then demoted to an ordinary user so the document validates again.
+// Users whose email already has a staff account are only demoted.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Staff = require('../models/Staff');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    // The role enum no longer allows 'admin', so read the raw documents
+    const legacyAdmins = await User.collection
+      .find({ role: 'admin' }, { projection: { firstName: 1, lastName: 1, email: 1, password: 1 } })
+      .toArray();
+
+    if (legacyAdmins.length === 0) {
+      console.log('No admin users to migrate');
+      return;
+    }
+
+    for (const user of legacyAdmins) {
+      const existing = await Staff.exists({ email: user.email });
+
+      if (dryRun) {
+        console.log(`Would migrate ${user.email}${existing ? ' (staff account exists; demote only)' : ''}`);
+        continue;
+      }
+
+      if (!existing) {
+        const staff = new Staff({
+          fullName: `${user.firstName} ${user.lastName}`.trim(),
+          employeeId: `LEGACY-${user._id}`,
+          email: user.email,
+          password: user.password,
+          role: 'admin'
+        });
+        // Already a bcrypt hash; do not hash it again
+        staff.unmarkModified('password');
+        await staff.save();
+      }
+
+      await User.updateOne({ _id: user._id }, { role: 'user' });
+      console.log(`Migrated ${user.email}${existing ? ' (staff account already existed)' : ''}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Failed to migrate admin users:', err);
+  process.exitCode = 1;
+});
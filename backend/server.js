@@ -2,14 +2,37 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const http = require('http');
+const swaggerUi = require('swagger-ui-express');
+const YAML = require('yamljs');
 const authRoutes = require('./routes/authRoutes');
 const loanRoutes = require('./routes/loanRoutes');
 const paymentRoutes = require('./routes/paymentRoutes'); // Import payment routes
+const staffRoutes = require('./routes/staffRoutes');
+const lenderRoutes = require('./routes/lenderRoutes');
+const productRoutes = require('./routes/productRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const userRoutes = require('./routes/userRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const { assignRequestId, requestContext } = require('./utils/requestContext');
+const logger = require('./utils/logger');
+const { accessLog, closeAccessLog } = require('./middleware/accessLog');
+const { securityPipeline, apiLimiter } = require('./middleware/security');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const securityConfig = require('./config/security');
+const { buildOpenApiSpec } = require('./validation/openapi');
+const { startDelinquencyJob, stopDelinquencyJob } = require('./jobs/delinquencyJob');
+const { startNotificationJob, stopNotificationJob } = require('./jobs/notificationJob');
+const { assertTransportConfigured } = require('./services/messaging');
+const { assertProviderConfigured } = require('./services/paymentProviders');
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
+app.set('trust proxy', securityConfig.trustProxy);
 
 // --- ✅ FIXED CORS CONFIGURATION ---
 const corsOptions = {
@@ -19,15 +42,40 @@ const corsOptions = {
     'https://loaning-app-ebon.vercel.app' // ← Replace with actual frontend deployment URL
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: [
+    'X-Request-Id', 'Idempotent-Replayed', 'X-Total-Count', 'X-Page', 'X-Page-Size', 'X-Total-Pages',
+    'RateLimit', 'RateLimit-Policy', 'Retry-After'
+  ]
 };
 
+// Every response carries X-Request-Id; the access log records it too
+app.use(assignRequestId);
+app.use(accessLog());
 app.use(cors(corsOptions));
 
 // Middleware
-app.use(express.json());
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(securityPipeline());
+app.use('/api', apiLimiter);
+
+// Mounted after the body parsers: their stream callbacks would not carry the
+// async context through to the routes
+app.use(requestContext);
+
+// --- ✅ STARTUP CHECKS ---
+// Refuse to start without a real message transport and payment provider in
+// production
+assertTransportConfigured();
+assertProviderConfigured();
 
 // --- ✅ DATABASE CONNECTION ---
 const connectWithRetry = async () => {
@@ -38,10 +86,11 @@ const connectWithRetry = async () => {
       serverSelectionTimeoutMS: 5000,
       maxPoolSize: 10
     });
-    console.log('Connected to MongoDB');
+    logger.info('Connected to MongoDB');
+    startDelinquencyJob();
+    startNotificationJob();
   } catch (err) {
-    console.error('MongoDB connection error:', err);
-    console.log('Retrying connection in 5 seconds...');
+    logger.error('MongoDB connection error, retrying in 5 seconds', { err });
     setTimeout(connectWithRetry, 5000);
   }
 };
@@ -50,19 +99,41 @@ connectWithRetry();
 
 // MongoDB connection events
 mongoose.connection.on('connected', () => {
-  console.log('Mongoose connected to DB');
+  logger.info('Mongoose connected to DB');
 });
 mongoose.connection.on('error', (err) => {
-  console.error('Mongoose connection error:', err);
+  logger.error('Mongoose connection error', { err });
 });
 mongoose.connection.on('disconnected', () => {
-  console.log('Mongoose disconnected');
+  logger.warn('Mongoose disconnected');
 });
 
 // --- ✅ ROUTES ---
-app.use('/api/auth', authRoutes);
-app.use('/api/loans', loanRoutes);
-app.use('/api', paymentRoutes);
+// [mount path, router, OpenAPI tag]
+const apiRoutes = [
+  ['/api/auth', authRoutes, 'Auth'],
+  ['/api/loans', loanRoutes, 'Loans'],
+  ['/api/staff', staffRoutes, 'Staff'],
+  ['/api/users', userRoutes, 'Users'],
+  ['/api/kyc', kycRoutes, 'KYC'],
+  ['/api/lenders', lenderRoutes, 'Lenders'],
+  ['/api/products', productRoutes, 'Products'],
+  ['/api/notifications', notificationRoutes, 'Notifications'],
+  ['/api/audit-logs', auditRoutes, 'Audit'],
+  ['/api/analytics', analyticsRoutes, 'Analytics'],
+  ['/api', paymentRoutes, 'Payments']
+];
+
+for (const [path, router] of apiRoutes) {
+  app.use(path, router);
+}
+
+// --- ✅ API DOCS ---
+// Generated from the same schemas the routes validate with
+const openApiSpec = buildOpenApiSpec(apiRoutes);
+app.get('/api/docs/openapi.json', (req, res) => res.json(openApiSpec));
+app.get('/api/docs/openapi.yaml', (req, res) => res.type('text/yaml').send(YAML.stringify(openApiSpec, 10, 2)));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
 
 // --- ✅ HEALTH CHECK ---
 app.get('/api/health', (req, res) => {
@@ -76,64 +147,46 @@ app.get('/api/health', (req, res) => {
 });
 
 // --- ✅ 404 HANDLER ---
-app.use((req, res, next) => {
-  res.status(404).json({
-    success: false,
-    message: 'Resource not found'
-  });
-});
+app.use(notFound);
 
 // --- ✅ ERROR HANDLING ---
-app.use((err, req, res, next) => {
-  console.error('[ERROR]', err.stack);
-  res.status(500).json({
-    success: false,
-    message: process.env.NODE_ENV === 'development'
-      ? err.message
-      : 'Internal server error'
-  });
-});
+app.use(errorHandler);
 
 // --- ✅ SERVER CONFIGURATION ---
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0';
 
 server.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('Server running', { url: `http://${HOST}:${PORT}`, env: process.env.NODE_ENV || 'development' });
 });
 
 // --- ✅ GRACEFUL SHUTDOWN ---
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  server.close(() => {
-    mongoose.connection.close(false, () => {
-      console.log('MongoDB connection closed');
-      process.exit(0);
-    });
+const shutdown = (signal) => {
+  logger.info('Shutting down gracefully', { signal });
+  stopDelinquencyJob();
+  stopNotificationJob();
+  server.close(async () => {
+    // Mongoose 7 close() returns a promise and throws if given a callback
+    await mongoose.connection.close(false);
+    logger.info('MongoDB connection closed');
+    closeAccessLog();
+    process.exit(0);
   });
-});
+};
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
-    mongoose.connection.close(false, () => {
-      console.log('MongoDB connection closed');
-      process.exit(0);
-    });
-  });
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // --- ✅ ALTERNATE PORT HANDLING ---
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
-    console.error(`Port ${PORT} is already in use. Trying alternative port...`);
+    logger.warn('Port already in use, trying the next one', { port: PORT });
     const alternativePort = parseInt(PORT) + 1;
     server.listen(alternativePort, HOST, () => {
-      console.log(`Server running on port ${alternativePort}`);
+      logger.info('Server running', { port: alternativePort });
     });
   } else {
-    console.error('Server error:', error);
+    logger.error('Server error', { err: error });
     process.exit(1);
   }
 });
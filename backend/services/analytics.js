@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+
+// Statuses of loans that have been disbursed
+const DISBURSED_STATUSES = ['Active', 'Completed', 'Defaulted'];
+const OPEN_STATUSES = ['Active', 'Defaulted'];
+
+// Settlements that move no cash (a refinancing loan paying off the loans it
+// replaces) are not collections
+const NON_CASH_METHODS = ['refinance'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round((value || 0) * 100) / 100;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+// A `to` date without a time (midnight UTC) covers the whole of that day
+const periodEnd = to => (to.getTime() % DAY_MS === 0 ? new Date(to.getTime() + DAY_MS - 1) : to);
+
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = periodEnd(to);
+  return range;
+};
+
+const lenderMatch = ({ lender }) => (lender ? { lender: new mongoose.Types.ObjectId(lender) } : {});
+
+// Unpaid principal on one installment (`row` is an expression for it).
+// Payments on an installment count against its interest first.
+const unpaidPrincipal = row => ({
+  $let: {
+    vars: {
+      interest: { $ifNull: [`${row}.interest`, 0] },
+      paid: { $ifNull: [`${row}.paidAmount`, 0] }
+    },
+    in: {
+      $max: [0, {
+        $subtract: [
+          { $ifNull: [`${row}.principal`, { $subtract: [`${row}.amount`, '$$interest'] }] },
+          { $max: [0, { $subtract: ['$$paid', '$$interest'] }] }
+        ]
+      }]
+    }
+  }
+});
+
+const IS_CREDIT_LINE = { $eq: ['$loanType', 'Credit'] };
+
+// What is owed on a credit line's draws: the drawn balance and its interest.
+// A credit line's loanAmount is its limit, and its schedule holds only
+// minimum payments, so neither measures it.
+const CREDIT_LINE_BALANCE = {
+  $add: [
+    { $ifNull: ['$creditLine.drawnBalance', 0] },
+    { $ifNull: ['$creditLine.interestBalance', 0] },
+    { $ifNull: ['$creditLine.accruedInterest', 0] }
+  ]
+};
+
+// A loan's principal for totals: the amount lent, or a credit line's balance
+const LOAN_PRINCIPAL = { $cond: [IS_CREDIT_LINE, CREDIT_LINE_BALANCE, '$loanAmount'] };
+
+// Principal a loan still owes: unpaid scheduled principal, or a credit line's balance
+const OUTSTANDING_PRINCIPAL = {
+  $cond: [
+    IS_CREDIT_LINE,
+    CREDIT_LINE_BALANCE,
+    {
+      $sum: {
+        $map: { input: { $ifNull: ['$repaymentSchedule', []] }, as: 'row', in: unpaidPrincipal('$$row') }
+      }
+    }
+  ]
+};
+
+// Disbursed principal in the period, and principal still outstanding on the
+// book today (for loans disbursed up to the end of the period). Credit lines
+// count at their balance.
+const principalSummary = async (filters) => {
+  const disbursedAt = dateRange(filters);
+
+  const [disbursed] = await Loan.aggregate([
+    { $match: { ...lenderMatch(filters), status: { $in: DISBURSED_STATUSES }, ...(disbursedAt && { disbursedAt }) } },
+    { $group: { _id: null, principal: { $sum: LOAN_PRINCIPAL }, loans: { $sum: 1 } } }
+  ]);
+
+  const [outstanding] = await Loan.aggregate([
+    {
+      $match: {
+        ...lenderMatch(filters),
+        status: { $in: OPEN_STATUSES },
+        ...(filters.to && { disbursedAt: { $lte: periodEnd(filters.to) } })
+      }
+    },
+    { $group: { _id: null, principal: { $sum: OUTSTANDING_PRINCIPAL }, loans: { $sum: 1 } } }
+  ]);
+
+  return {
+    disbursedPrincipal: round(disbursed?.principal),
+    disbursedLoans: disbursed?.loans || 0,
+    outstandingPrincipal: round(outstanding?.principal),
+    openLoans: outstanding?.loans || 0
+  };
+};
+
+// Decisions on applications made in the period
+const decisionRates = async (filters) => {
+  const createdAt = dateRange(filters);
+
+  const rows = await Loan.aggregate([
+    { $match: { ...lenderMatch(filters), ...(createdAt && { createdAt }) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = Object.fromEntries(rows.map(row => [row._id, row.count]));
+  const approved = ['Approved', ...DISBURSED_STATUSES].reduce((sum, status) => sum + (counts[status] || 0), 0);
+  const rejected = counts.Rejected || 0;
+  const pending = counts.Pending || 0;
+
+  return {
+    applications: approved + rejected + pending,
+    approved,
+    rejected,
+    pending,
+    approvalRate: ratio(approved, approved + rejected),
+    rejectionRate: ratio(rejected, approved + rejected)
+  };
+};
+
+// Portfolio at risk: share of outstanding principal on loans more than 30 / 90 days past due
+const portfolioAtRisk = async (filters) => {
+  const [row] = await Loan.aggregate([
+    {
+      $match: {
+        ...lenderMatch(filters),
+        status: { $in: OPEN_STATUSES },
+        ...(filters.to && { disbursedAt: { $lte: periodEnd(filters.to) } })
+      }
+    },
+    {
+      $project: {
+        daysPastDue: { $ifNull: ['$daysPastDue', 0] },
+        principal: OUTSTANDING_PRINCIPAL
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$principal' },
+        par30: { $sum: { $cond: [{ $gt: ['$daysPastDue', 30] }, '$principal', 0] } },
+        par90: { $sum: { $cond: [{ $gt: ['$daysPastDue', 90] }, '$principal', 0] } },
+        loansPar30: { $sum: { $cond: [{ $gt: ['$daysPastDue', 30] }, 1, 0] } },
+        loansPar90: { $sum: { $cond: [{ $gt: ['$daysPastDue', 90] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    outstandingPrincipal: round(row?.total),
+    par30: { principal: round(row?.par30), loans: row?.loansPar30 || 0, ratio: ratio(row?.par30, row?.total) },
+    par90: { principal: round(row?.par90), loans: row?.loansPar90 || 0, ratio: ratio(row?.par90, row?.total) }
+  };
+};
+
+// Default rate of loans disbursed in the period, broken down by a loan field
+const defaultRatesBy = async (field, filters) => {
+  const disbursedAt = dateRange(filters);
+
+  const rows = await Loan.aggregate([
+    { $match: { ...lenderMatch(filters), status: { $in: DISBURSED_STATUSES }, ...(disbursedAt && { disbursedAt }) } },
+    {
+      $group: {
+        _id: `$${field}`,
+        loans: { $sum: 1 },
+        defaulted: { $sum: { $cond: [{ $eq: ['$status', 'Defaulted'] }, 1, 0] } },
+        principal: { $sum: LOAN_PRINCIPAL },
+        defaultedPrincipal: { $sum: { $cond: [{ $eq: ['$status', 'Defaulted'] }, LOAN_PRINCIPAL, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    [field]: row._id ?? 'Unknown',
+    loans: row.loans,
+    defaulted: row.defaulted,
+    defaultRate: ratio(row.defaulted, row.loans),
+    principal: round(row.principal),
+    defaultedPrincipal: round(row.defaultedPrincipal)
+  }));
+};
+
+const defaultRates = async (filters) => {
+  const [byPurpose, byEmploymentStatus, byLender] = await Promise.all([
+    defaultRatesBy('loanPurpose', filters),
+    defaultRatesBy('employmentStatus', filters),
+    defaultRatesBy('lenderName', filters)
+  ]);
+  return { byPurpose, byEmploymentStatus, byLender };
+};
+
+// Money collected against money falling due, per calendar month (UTC)
+const collectionsVsExpected = async (filters) => {
+  const dueDate = dateRange(filters);
+  const paymentDate = dateRange(filters);
+  const month = date => ({ $dateToString: { format: '%Y-%m', date } });
+
+  const expected = await Loan.aggregate([
+    { $match: { ...lenderMatch(filters), status: { $in: DISBURSED_STATUSES } } },
+    { $unwind: '$repaymentSchedule' },
+    ...(dueDate ? [{ $match: { 'repaymentSchedule.dueDate': dueDate } }] : []),
+    {
+      $group: {
+        _id: month('$repaymentSchedule.dueDate'),
+        expected: { $sum: '$repaymentSchedule.amount' },
+        installments: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const collected = await Payment.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        paymentMethod: { $nin: NON_CASH_METHODS },
+        ...(paymentDate && { paymentDate })
+      }
+    },
+    ...(filters.lender ? [
+      { $lookup: { from: Loan.collection.name, localField: 'loan', foreignField: '_id', as: 'loanDoc' } },
+      { $match: { 'loanDoc.lender': new mongoose.Types.ObjectId(filters.lender) } }
+    ] : []),
+    {
+      $group: {
+        _id: month('$paymentDate'),
+        collected: { $sum: { $subtract: ['$amount', { $ifNull: ['$unallocatedAmount', 0] }] } },
+        payments: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const months = new Map();
+  expected.forEach(row => months.set(row._id, { month: row._id, expected: row.expected, installments: row.installments }));
+  collected.forEach(row => months.set(row._id, { ...months.get(row._id), month: row._id, collected: row.collected, payments: row.payments }));
+
+  return [...months.values()]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(row => ({
+      month: row.month,
+      expected: round(row.expected),
+      collected: round(row.collected),
+      collectionRate: ratio(row.collected || 0, row.expected || 0),
+      installments: row.installments || 0,
+      payments: row.payments || 0
+    }));
+};
+
+module.exports = {
+  principalSummary,
+  decisionRates,
+  portfolioAtRisk,
+  defaultRates,
+  collectionsVsExpected
+};
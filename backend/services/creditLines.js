@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const Loan = require('../models/Loan');
+const { inTransaction } = require('./repayments');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Revolving credit lines: a Loan with loanType 'Credit', opened on
+// disbursement. Borrowers draw on it here and repay it like any other loan
+// (services/repayments); statements are issued by the delinquency run.
+
+const generateDrawReference = () =>
+  `DRW-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Throw unless `loan` is a credit line
+const assertCreditLine = (loan) => {
+  if (loan.loanType !== 'Credit') {
+    throw new ConflictError('This loan is not a credit line', { code: 'NOT_A_CREDIT_LINE' });
+  }
+};
+
+// Draw `amount` from a credit line. The limit check and the new balance are
+// written in one transaction, so concurrent draws cannot exceed the limit.
+//
+// `filter` scopes the loan lookup (e.g. to the borrower's own loans).
+const drawFromCreditLine = ({ filter, amount, description }) =>
+  inTransaction(async (session) => {
+    const loan = await Loan.findOne(filter).session(session);
+
+    if (!loan) throw new NotFoundError('Loan not found');
+    assertCreditLine(loan);
+
+    const draw = loan.drawCredit(amount, {
+      asOf: new Date(),
+      reference: generateDrawReference(),
+      description
+    });
+    await loan.save({ session });
+
+    return { loan, draw };
+  });
+
+// A credit line's position for responses. Call accrueCreditInterest first
+// for an up-to-date balance.
+const creditLineSummary = (loan, { transactions = 20 } = {}) => {
+  const line = loan.creditLine;
+  const nextPayment = loan.repaymentSchedule.find(installment => installment.status !== 'Paid');
+
+  return {
+    creditLimit: loan.creditLimit,
+    balance: loan.outstandingBalance,
+    drawnBalance: line.drawnBalance,
+    interestBalance: line.interestBalance,
+    accruedInterest: line.accruedInterest,
+    availableCredit: loan.availableCredit,
+    utilization: loan.utilization,
+    interestRate: loan.interestRate,
+    minimumPaymentPercent: line.minimumPaymentPercent,
+    minimumPaymentFloor: line.minimumPaymentFloor,
+    minimumPaymentDue: nextPayment
+      ? { amount: nextPayment.amount, dueDate: nextPayment.dueDate, paidAmount: nextPayment.paidAmount, status: nextPayment.status }
+      : null,
+    openedAt: line.openedAt || null,
+    drawPeriodEndsAt: line.drawPeriodEndsAt || null,
+    nextStatementDate: line.nextStatementDate || null,
+    lastStatement: line.lastStatement?.date ? line.lastStatement : null,
+    // Newest first
+    transactions: transactions > 0 ? line.transactions.slice(-transactions).reverse() : []
+  };
+};
+
+module.exports = {
+  assertCreditLine,
+  drawFromCreditLine,
+  creditLineSummary
+};
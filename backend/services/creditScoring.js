@@ -0,0 +1,203 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const CreditScoreSnapshot = require('../models/CreditScoreSnapshot');
+const delinquencyConfig = require('../config/delinquency');
+const { installmentDue } = require('../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SCORE = 300;
+const MAX_SCORE = 850;
+
+// Share of the 300-850 range each factor controls
+const WEIGHTS = {
+  paymentHistory: 0.35,
+  amountsOwed: 0.30,
+  historyLength: 0.15,
+  creditMix: 0.10,
+  newCredit: 0.10
+};
+
+// Points removed on top of the weighted score
+const DEFAULT_PENALTY = 100;
+const RESTRUCTURED_PENALTY = 40;
+const PAST_DUE_PENALTY = { 'Current': 0, '1-30': 20, '31-60': 50, '61-90': 80, '90+': 120 };
+
+// Loans that reached the borrower (as opposed to applications still pending or rejected)
+const REPORTABLE_STATUSES = ['Active', 'Completed', 'Defaulted'];
+
+const clamp = (value, min = 0, max = 1) => Math.min(Math.max(value, min), max);
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const monthsBetween = (from, to) => (to - from) / (30.44 * DAY_MS);
+
+const scoreRangeFor = (score) => {
+  if (score === null) return 'No Credit History';
+  if (score >= 720) return 'Excellent';
+  if (score >= 650) return 'Good';
+  if (score >= 580) return 'Fair';
+  return 'Poor';
+};
+
+// An installment counts against the borrower if it went late, was paid after
+// the grace period, is still unpaid past it, or was capitalized by a
+// restructuring after it
+const wasPaidLate = (installment, graceDays, asOf) => {
+  if (installment.status === 'Late' || installment.lateFeeAssessedAt) return true;
+  const settledAt = {
+    Paid: installment.paidDate,
+    Capitalized: installment.capitalizedAt
+  }[installment.status] || asOf;
+  return settledAt - installment.dueDate > graceDays * DAY_MS;
+};
+
+// A credit line's schedule holds only minimum payments, so its balance is
+// measured instead: draws, interest and fees
+const amountOwed = (loan) => {
+  if (loan.loanType === 'Credit') return loan.outstandingBalance || 0;
+  return (loan.repaymentSchedule || []).reduce(
+    (acc, installment) => acc + Math.max(installmentDue(installment) - (installment.paidAmount || 0), 0), 0);
+};
+
+const amountBorrowed = (loan) => {
+  if (loan.loanType === 'Credit') return loan.creditLimit || loan.loanAmount || 0;
+  return (loan.repaymentSchedule || []).reduce((acc, installment) => acc + installment.amount, 0);
+};
+
+// Score a borrower from their loans and payments. Pure - does not touch the database.
+// Returns score null when there is no credit history to score.
+const scoreCreditProfile = ({ loans, payments = [], asOf = new Date(), graceDays = delinquencyConfig.graceDays }) => {
+  const reportable = loans.filter(loan => REPORTABLE_STATUSES.includes(loan.status));
+
+  if (reportable.length === 0) {
+    return { score: null, scoreRange: scoreRangeFor(null), factors: {}, reasons: [] };
+  }
+
+  const reasons = [];
+  const negative = (code, message) => reasons.push({ code, message, impact: 'negative' });
+  const positive = (code, message) => reasons.push({ code, message, impact: 'positive' });
+  const yearAgo = new Date(asOf.getTime() - 365 * DAY_MS);
+
+  // Payment history
+  const dueInstallments = reportable.flatMap(loan =>
+    (loan.repaymentSchedule || []).filter(installment => installment.dueDate <= asOf));
+  const lateInstallments = dueInstallments.filter(installment => wasPaidLate(installment, graceDays, asOf));
+  const recentLate = lateInstallments.filter(installment => installment.dueDate >= yearAgo).length;
+  const onTimeRatio = dueInstallments.length
+    ? (dueInstallments.length - lateInstallments.length) / dueInstallments.length
+    : 0.7;
+  const paymentHistory = clamp(onTimeRatio - 0.1 * recentLate);
+
+  if (recentLate > 0) {
+    negative('LATE_PAYMENTS_12M', `${plural(recentLate, 'late payment')} in last 12 months`);
+  } else if (dueInstallments.length > 0) {
+    positive('ON_TIME_PAYMENTS', `All ${plural(dueInstallments.length, 'payment')} made on time`);
+  }
+
+  const failedPayments = payments.filter(p => p.status === 'failed' && p.paymentDate >= yearAgo).length;
+  if (failedPayments > 0) {
+    negative('FAILED_PAYMENTS_12M', `${plural(failedPayments, 'failed payment')} in last 12 months`);
+  }
+
+  // Amounts owed on open loans relative to what was originally owed, and on
+  // open credit lines relative to their limits
+  const openLoans = reportable.filter(loan => loan.status !== 'Completed');
+  const owed = openLoans.reduce((sum, loan) => sum + amountOwed(loan), 0);
+  const original = openLoans.reduce((sum, loan) => sum + amountBorrowed(loan), 0);
+  const owedRatio = original > 0 ? owed / original : 0;
+  const amountsOwed = clamp(1 - owedRatio * 0.7);
+
+  if (owedRatio >= 0.75) {
+    negative('HIGH_BALANCES', `Balances are ${Math.round(owedRatio * 100)}% of the original loan amounts`);
+  }
+
+  // Length of credit history
+  const opened = reportable.map(loan => loan.disbursedAt || loan.createdAt).filter(Boolean);
+  const historyMonths = opened.length ? Math.max(monthsBetween(Math.min(...opened), asOf), 0) : 0;
+  const historyLength = clamp(historyMonths / 36);
+
+  if (historyMonths < 12) {
+    negative('SHORT_HISTORY', `Credit history is only ${plural(Math.floor(historyMonths), 'month')} old`);
+  }
+
+  // Credit mix
+  const purposes = new Set(reportable.map(loan => loan.loanPurpose));
+  const creditMix = clamp(purposes.size / 3);
+
+  // New credit - every application counts, including pending and rejected ones
+  const sixMonthsAgo = new Date(asOf.getTime() - 182 * DAY_MS);
+  const recentApplications = loans.filter(loan => loan.createdAt && loan.createdAt >= sixMonthsAgo).length;
+  const newCredit = clamp(1 - 0.2 * Math.max(recentApplications - 1, 0));
+
+  if (recentApplications > 2) {
+    negative('RECENT_APPLICATIONS', `${plural(recentApplications, 'loan application')} in the last 6 months`);
+  }
+
+  const factors = { paymentHistory, amountsOwed, historyLength, creditMix, newCredit };
+  const weighted = Object.entries(WEIGHTS).reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+  let score = MIN_SCORE + (MAX_SCORE - MIN_SCORE) * weighted;
+
+  // Derogatory marks
+  const defaulted = reportable.filter(loan => loan.status === 'Defaulted').length;
+  if (defaulted > 0) {
+    score -= DEFAULT_PENALTY * defaulted;
+    negative('DEFAULTED_LOANS', `${plural(defaulted, 'loan')} in default`);
+  }
+
+  // Restructured loans stay on the report until repaid
+  const restructured = openLoans.filter(loan => loan.restructured).length;
+  if (restructured > 0) {
+    score -= RESTRUCTURED_PENALTY * restructured;
+    negative('RESTRUCTURED_LOANS', `${plural(restructured, 'loan')} restructured`);
+  }
+
+  const worstDaysPastDue = Math.max(0, ...openLoans.map(loan => loan.daysPastDue || 0));
+  const worstBucket = openLoans
+    .map(loan => loan.delinquencyBucket || 'Current')
+    .reduce((worst, bucket) => (PAST_DUE_PENALTY[bucket] > PAST_DUE_PENALTY[worst] ? bucket : worst), 'Current');
+  if (worstBucket !== 'Current') {
+    score -= PAST_DUE_PENALTY[worstBucket];
+    negative('CURRENTLY_PAST_DUE', `An account is currently ${plural(worstDaysPastDue, 'day')} past due`);
+  }
+
+  const completed = reportable.filter(loan => loan.status === 'Completed').length;
+  if (completed > 0) {
+    positive('LOANS_REPAID', `${plural(completed, 'loan')} repaid in full`);
+  }
+
+  score = Math.round(clamp(score, MIN_SCORE, MAX_SCORE));
+  const roundedFactors = Object.fromEntries(
+    Object.entries(factors).map(([factor, value]) => [factor, Math.round(value * 100) / 100]));
+
+  // Negative reasons first - they are what the user can act on
+  reasons.sort((a, b) => (a.impact === b.impact ? 0 : a.impact === 'negative' ? -1 : 1));
+
+  return { score, scoreRange: scoreRangeFor(score), factors: roundedFactors, reasons };
+};
+
+// Recompute a user's score from the database, store it on the user and keep a
+// snapshot whenever the score moves (or at most once a day otherwise).
+const refreshCreditScore = async (userId, { asOf = new Date() } = {}) => {
+  const [loans, payments] = await Promise.all([
+    Loan.find({ user: userId }),
+    Payment.find({ user: userId }).select('status paymentDate amount').lean()
+  ]);
+
+  const result = scoreCreditProfile({ loans, payments, asOf });
+  if (result.score === null) return { ...result, loans };
+
+  await User.updateOne({ _id: userId }, { creditScore: result.score });
+
+  const latest = await CreditScoreSnapshot.findOne({ user: userId }).sort({ createdAt: -1 });
+  const sameDay = latest && asOf - latest.createdAt < DAY_MS;
+  if (!latest || latest.score !== result.score || !sameDay) {
+    await CreditScoreSnapshot.create({ user: userId, ...result });
+  }
+
+  return { ...result, loans };
+};
+
+module.exports = {
+  scoreRangeFor,
+  scoreCreditProfile,
+  refreshCreditScore
+};
@@ -0,0 +1,158 @@
+const Loan = require('../models/Loan');
+const defaultConfig = require('../config/delinquency');
+const { roundMoney } = require('../utils/money');
+const { installmentDue } = require('../utils/amortization');
+const { notifyQuietly, notifyLoanStatus } = require('./notifications');
+const logger = require('../utils/logger');
+const { ConflictError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses the engine looks at. Defaulted loans keep accruing penalties and
+// ageing, but are not transitioned again.
+const MONITORED_STATUSES = ['Active', 'Defaulted'];
+
+const wholeDaysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+const delinquencyBucket = (daysPastDue) => {
+  if (daysPastDue <= 0) return 'Current';
+  if (daysPastDue <= 30) return '1-30';
+  if (daysPastDue <= 60) return '31-60';
+  if (daysPastDue <= 90) return '61-90';
+  return '90+';
+};
+
+// Bring one loan's delinquency state up to date as of `asOf`. Idempotent:
+// late fees are charged once per installment and penalty interest only for
+// whole days not yet accrued, so repeated runs on the same day change nothing.
+//
+// Credit lines are billed first, so a new minimum payment is assessed with
+// the rest of the schedule. A line past its draw period with nothing owed is
+// closed.
+const assessLoan = (loan, { asOf = new Date(), config = defaultConfig } = {}) => {
+  const summary = { newlyLate: 0, feesCharged: 0, penaltyAccrued: 0, defaulted: false, closed: false, statements: [] };
+  const dailyPenaltyRate = (config.penaltyInterestRate || 0) / 100 / 365;
+  let oldestOverdue = null;
+
+  if (loan.loanType === 'Credit') {
+    summary.statements = loan.billCreditLine(asOf, { paymentDueDays: config.creditLinePaymentDueDays });
+    summary.closed = loan.closeSettledCreditLine(asOf);
+  }
+
+  for (const installment of loan.repaymentSchedule) {
+    const unpaid = roundMoney(installmentDue(installment) - (installment.paidAmount || 0));
+    if (unpaid <= 0 || installment.dueDate >= asOf) continue;
+
+    if (!oldestOverdue || installment.dueDate < oldestOverdue) {
+      oldestOverdue = installment.dueDate;
+    }
+
+    const lateFrom = new Date(installment.dueDate.getTime() + config.graceDays * DAY_MS);
+    if (asOf <= lateFrom) continue;
+
+    if (installment.status !== 'Late') {
+      installment.status = 'Late';
+      summary.newlyLate += 1;
+    }
+
+    if (!installment.lateFeeAssessedAt && config.lateFee > 0) {
+      installment.lateFee = roundMoney((installment.lateFee || 0) + config.lateFee);
+      installment.lateFeeAssessedAt = asOf;
+      summary.feesCharged = roundMoney(summary.feesCharged + config.lateFee);
+    }
+
+    if (dailyPenaltyRate > 0) {
+      const accruedFrom = installment.penaltyAccruedThrough || lateFrom;
+      const days = wholeDaysBetween(accruedFrom, asOf);
+
+      if (days > 0) {
+        // Penalty runs on the unpaid scheduled amount, not on earlier penalties
+        const overdueAmount = Math.max(installment.amount - (installment.paidAmount || 0), 0);
+        const penalty = roundMoney(overdueAmount * dailyPenaltyRate * days);
+        installment.penaltyInterest = roundMoney((installment.penaltyInterest || 0) + penalty);
+        installment.penaltyAccruedThrough = new Date(accruedFrom.getTime() + days * DAY_MS);
+        summary.penaltyAccrued = roundMoney(summary.penaltyAccrued + penalty);
+      }
+    }
+  }
+
+  const daysPastDue = oldestOverdue ? Math.max(wholeDaysBetween(oldestOverdue, asOf), 0) : 0;
+  loan.daysPastDue = daysPastDue;
+  loan.delinquencyBucket = delinquencyBucket(daysPastDue);
+  loan.delinquencyCheckedAt = asOf;
+
+  if (loan.status === 'Active' && daysPastDue >= config.defaultAfterDays) {
+    loan.transitionTo('Defaulted', {
+      reason: `Automatically defaulted at ${daysPastDue} days past due`
+    });
+    loan.defaultedAt = asOf;
+    loan.defaultReason = `${daysPastDue} days past due`;
+    summary.defaulted = true;
+  }
+
+  return { ...summary, daysPastDue, bucket: loan.delinquencyBucket };
+};
+
+// Whether a run is in progress. Scheduled and manual runs share it: two runs
+// over the same loans at once would charge fees and penalties twice.
+let running = false;
+
+const isDelinquencyCheckRunning = () => running;
+
+// Run the engine over every monitored loan. Throws if a run is already in progress.
+const runDelinquencyCheck = async (options = {}) => {
+  if (running) {
+    throw new ConflictError('A delinquency run is already in progress', { code: 'DELINQUENCY_RUN_IN_PROGRESS' });
+  }
+
+  running = true;
+  try {
+    return await checkLoans(options);
+  } finally {
+    running = false;
+  }
+};
+
+const checkLoans = async ({ asOf = new Date(), config = defaultConfig } = {}) => {
+  const totals = {
+    loansChecked: 0, statementsIssued: 0, newlyLate: 0, feesCharged: 0, penaltyAccrued: 0, defaulted: 0, closed: 0, errors: 0
+  };
+  const cursor = Loan.find({ status: { $in: MONITORED_STATUSES } }).cursor();
+
+  for await (const loan of cursor) {
+    try {
+      const result = assessLoan(loan, { asOf, config });
+      if (loan.isModified()) await loan.save();
+      if (result.defaulted || result.closed) notifyLoanStatus(loan);
+      for (const statement of result.statements) {
+        if (statement.minimumPayment <= 0) continue;
+        notifyQuietly(loan.user._id || loan.user, 'credit_statement', {
+          loanId: loan._id,
+          balance: statement.balance,
+          minimumPayment: statement.minimumPayment,
+          dueDate: statement.dueDate
+        }, { dedupeKey: `loan:${loan._id}:statement:${statement.date.toISOString().slice(0, 10)}` });
+      }
+
+      totals.loansChecked += 1;
+      totals.statementsIssued += result.statements.length;
+      totals.newlyLate += result.newlyLate;
+      totals.feesCharged = roundMoney(totals.feesCharged + result.feesCharged);
+      totals.penaltyAccrued = roundMoney(totals.penaltyAccrued + result.penaltyAccrued);
+      if (result.defaulted) totals.defaulted += 1;
+      if (result.closed) totals.closed += 1;
+    } catch (err) {
+      totals.errors += 1;
+      logger.error('Delinquency check failed for loan', { err, loanId: loan._id });
+    }
+  }
+
+  return totals;
+};
+
+module.exports = {
+  delinquencyBucket,
+  assessLoan,
+  isDelinquencyCheckRunning,
+  runDelinquencyCheck
+};
@@ -0,0 +1,140 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const { inTransaction } = require('./repayments');
+const { roundMoney } = require('../utils/money');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Guarantors: registered users who agree to repay some or all of another
+// user's loan if the borrower does not. The borrower names them by phone
+// number when applying; each accepts or declines from their own account, and
+// the loan cannot be approved until all of them have accepted.
+
+// Loans a guarantor is still answerable for
+const EXPOSED_STATUSES = ['Pending', 'Approved', 'Active', 'Defaulted'];
+
+const OPEN_STATUSES = ['Active', 'Defaulted'];
+
+const entryFor = (loan, userId) => loan.guarantors.find(entry => entry.user.equals(userId));
+
+const allAccepted = loan => loan.guarantors.every(entry => entry.status === 'Accepted');
+
+// Look up the guarantors named on an application ({ phone, amount }).
+// Returns the value stored as the loan's `guarantors`; throws if any of them
+// cannot guarantee it.
+const resolveGuarantors = async ({ borrowerId, guarantors, loanAmount }) => {
+  const phones = guarantors.map(guarantor => guarantor.phone);
+  const users = await User.find({ phone: { $in: phones } }).select('phone');
+
+  const missing = phones.filter(phone => !users.some(user => user.phone === phone));
+  if (missing.length > 0) {
+    throw new BadRequestError('Guarantor not found', {
+      code: 'GUARANTOR_NOT_FOUND',
+      errors: missing.map(phone => ({ field: 'guarantors', location: 'body', message: `No registered user has phone ${phone}` }))
+    });
+  }
+
+  if (users.some(user => user._id.equals(borrowerId))) {
+    throw new BadRequestError('You cannot guarantee your own loan', { code: 'GUARANTOR_IS_BORROWER' });
+  }
+
+  if (guarantors.some(guarantor => guarantor.amount > loanAmount)) {
+    throw new BadRequestError('A guarantee cannot exceed the loan amount', { code: 'GUARANTEE_EXCEEDS_LOAN' });
+  }
+
+  return guarantors.map(({ phone, amount }) => ({
+    user: users.find(user => user.phone === phone)._id,
+    guaranteedAmount: amount || loanAmount
+  }));
+};
+
+// Throw unless every guarantor on the loan has accepted
+const assertGuarantorsAccepted = (loan) => {
+  const outstanding = (loan.guarantors || []).filter(entry => entry.status !== 'Accepted');
+  if (outstanding.length === 0) return;
+
+  const declined = outstanding.some(entry => entry.status === 'Declined');
+  throw new ConflictError(declined
+    ? 'A guarantor has declined; the loan cannot be approved'
+    : `Waiting for ${outstanding.length} guarantor(s) to accept before the loan can be approved`, {
+    code: 'GUARANTORS_NOT_ACCEPTED',
+    extra: { guarantors: outstanding.map(entry => ({ user: entry.user, status: entry.status })) }
+  });
+};
+
+// Record a guarantor's answer on a pending application. When underwriting
+// approved the application and only the guarantors were outstanding, the
+// last acceptance approves it. Returns { loan, guarantor, approved }.
+const respondToGuarantee = ({ loanId, userId, accept, reason }) =>
+  inTransaction(async (session) => {
+    const loan = await Loan.findOne({ _id: loanId, 'guarantors.user': userId }).session(session);
+
+    if (!loan) throw new NotFoundError('Guarantee request not found');
+
+    if (loan.status !== 'Pending') {
+      throw new ConflictError(`The loan is already ${loan.status.toLowerCase()}; the guarantee request is closed`, {
+        code: 'GUARANTEE_CLOSED'
+      });
+    }
+
+    const guarantor = entryFor(loan, userId);
+    if (guarantor.status !== 'Pending') {
+      throw new ConflictError(`You have already ${guarantor.status.toLowerCase()} this guarantee`, {
+        code: 'GUARANTEE_ALREADY_ANSWERED'
+      });
+    }
+
+    const now = new Date();
+    guarantor.status = accept ? 'Accepted' : 'Declined';
+    guarantor.respondedAt = now;
+    if (!accept) guarantor.declineReason = reason;
+
+    const approved = accept && loan.underwriting?.decision === 'approve' && allAccepted(loan);
+    if (approved) {
+      loan.transitionTo('Approved', { reason: 'Automatic approval once all guarantors accepted' });
+      loan.approvedAt = now;
+    }
+
+    await loan.save({ session });
+
+    return { loan, guarantor, approved };
+  });
+
+// Loans the user has been asked to guarantee, newest first
+const findGuarantees = userId =>
+  Loan.find({ 'guarantors.user': userId }).sort({ createdAt: -1 });
+
+// What the user's accepted guarantees could cost them: the guaranteed amount,
+// capped at what the borrower still owes once the loan is running
+const guaranteeExposure = async (userId) => {
+  const loans = await Loan.find({
+    status: { $in: EXPOSED_STATUSES },
+    guarantors: { $elemMatch: { user: userId, status: 'Accepted' } }
+  });
+
+  const guarantees = loans.map(loan => {
+    const { guaranteedAmount } = entryFor(loan, userId);
+    const owed = OPEN_STATUSES.includes(loan.status) ? loan.outstandingBalance : loan.loanAmount;
+
+    return {
+      loanId: loan._id,
+      status: loan.status,
+      loanAmount: loan.loanAmount,
+      guaranteedAmount,
+      exposure: roundMoney(Math.min(guaranteedAmount, owed)),
+      daysPastDue: loan.daysPastDue || 0
+    };
+  });
+
+  return {
+    guarantees,
+    totalExposure: roundMoney(guarantees.reduce((sum, guarantee) => sum + guarantee.exposure, 0))
+  };
+};
+
+module.exports = {
+  resolveGuarantors,
+  assertGuarantorsAccepted,
+  respondToGuarantee,
+  findGuarantees,
+  guaranteeExposure
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const KycDocument = require('../models/KycDocument');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const config = require('../config/kyc');
+const logger = require('../utils/logger');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  UnsupportedMediaTypeError
+} = require('../utils/errors');
+
+// KYC (know your customer): users upload identity and income documents,
+// staff approve or reject each one, and the user's kycStatus follows from
+// what has been approved (see config/kyc requiredDocuments).
+
+// Leading bytes of each allowed file type, so a renamed file is caught
+const SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF-'),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+};
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const contentMatches = (buffer, mimeType) => {
+  const signature = SIGNATURES[mimeType];
+  return Boolean(signature) && buffer.subarray(0, signature.length).equals(signature);
+};
+
+// A user's KYC status given their documents ({ documentType, status })
+const kycStatusFor = (documents) => {
+  const groups = config.requiredDocuments.map(types => documents.filter(doc => types.includes(doc.documentType)));
+
+  if (groups.every(group => group.some(doc => doc.status === 'approved'))) return 'verified';
+  if (documents.some(doc => doc.status === 'pending')) return 'pending';
+  // Everything offered for some requirement was turned down
+  if (groups.some(group => group.length > 0 && group.every(doc => doc.status === 'rejected'))) return 'rejected';
+  return 'unverified';
+};
+
+// Recompute and store the user's KYC status; returns it
+const refreshKycStatus = async (userId) => {
+  const documents = await KycDocument.find({ user: userId }).select('documentType status').lean();
+  const kycStatus = kycStatusFor(documents);
+
+  await User.updateOne(
+    { _id: userId, kycStatus: { $ne: kycStatus } },
+    { kycStatus, ...(kycStatus === 'verified' && { kycVerifiedAt: new Date() }) }
+  );
+
+  return kycStatus;
+};
+
+// Store an uploaded file (multer memory upload) as one of the user's KYC
+// documents, optionally for one of their loans. Returns { document, kycStatus }.
+const uploadDocument = async ({ userId, documentType, loanId, file }) => {
+  if (!file) {
+    throw new BadRequestError('A file is required', {
+      code: 'FILE_REQUIRED',
+      errors: [{ field: 'file', location: 'body', message: 'file is required' }]
+    });
+  }
+
+  if (!contentMatches(file.buffer, file.mimetype)) {
+    throw new UnsupportedMediaTypeError(`The file is not a valid ${EXTENSIONS[file.mimetype] || file.mimetype} file`, {
+      code: 'FILE_TYPE_MISMATCH'
+    });
+  }
+
+  if (loanId && !(await Loan.exists({ _id: loanId, user: userId }))) {
+    throw new NotFoundError('Loan not found');
+  }
+
+  const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const duplicate = await KycDocument.exists({ user: userId, checksum, status: { $in: ['pending', 'approved'] } });
+  if (duplicate) {
+    throw new ConflictError('This file has already been uploaded', { code: 'DUPLICATE_DOCUMENT' });
+  }
+
+  const storage = getStorage();
+  const document = new KycDocument({
+    user: userId,
+    loan: loanId,
+    documentType,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    checksum
+  });
+  const key = `kyc/${userId}/${document._id}.${EXTENSIONS[file.mimetype]}`;
+
+  await storage.save(key, file.buffer);
+  document.storage = { backend: storage.name, key };
+
+  try {
+    await document.save();
+  } catch (err) {
+    // Do not leave an orphaned file behind
+    await storage.remove(key).catch(removeErr => {
+      logger.warn('Failed to remove orphaned upload', { err: removeErr, key });
+    });
+    throw err;
+  }
+
+  return { document, kycStatus: await refreshKycStatus(userId) };
+};
+
+// Approve or reject a pending document. Returns { document, kycStatus }.
+const reviewDocument = async ({ documentId, reviewerId, approve, notes }) => {
+  const document = await KycDocument.findById(documentId);
+
+  if (!document) throw new NotFoundError('Document not found');
+
+  if (document.status !== 'pending') {
+    throw new ConflictError(`Document has already been ${document.status}`, { code: 'DOCUMENT_ALREADY_REVIEWED' });
+  }
+
+  document.status = approve ? 'approved' : 'rejected';
+  document.reviewedBy = reviewerId;
+  document.reviewedAt = new Date();
+  document.reviewNotes = notes;
+  await document.save();
+
+  return { document, kycStatus: await refreshKycStatus(document.user) };
+};
+
+// The stored file for a document
+const readDocument = (document) => {
+  const storage = getStorage();
+  if (document.storage.backend !== storage.name) {
+    throw new Error(`Document ${document._id} is stored in ${document.storage.backend}, not ${storage.name}`);
+  }
+  return storage.read(document.storage.key);
+};
+
+module.exports = {
+  kycStatusFor,
+  refreshKycStatus,
+  uploadDocument,
+  reviewDocument,
+  readDocument
+};
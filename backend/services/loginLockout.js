@@ -0,0 +1,42 @@
+const { LockedError } = require('../utils/errors');
+
+// Password login checks shared by borrower and staff login, on top of the
+// lockout fields from models/plugins/loginLockout
+
+// Fields a login query has to select for these checks
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lockUntil +lockCount';
+
+// Returns { ok: true } when the password is right and the account is not
+// locked. Otherwise { ok: false, lockedUntil } where lockedUntil is set when
+// the account is (now) locked. `passwordMatches` is only called for an
+// unlocked account, so a locked account cannot be used to test passwords.
+const checkLogin = async (account, passwordMatches) => {
+  if (account.isLoginLocked()) {
+    return { ok: false, lockedUntil: account.lockUntil };
+  }
+
+  if (!(await passwordMatches())) {
+    const lockedUntil = await account.registerFailedLogin();
+    return { ok: false, lockedUntil };
+  }
+
+  if (account.failedLoginAttempts || account.lockCount || account.lockUntil) {
+    await account.clearLoginFailures();
+  }
+  return { ok: true };
+};
+
+const lockedError = (lockedUntil) => {
+  const retryAfter = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
+  return new LockedError('Account temporarily locked after too many failed login attempts', {
+    code: 'ACCOUNT_LOCKED',
+    headers: { 'Retry-After': String(retryAfter) },
+    extra: { lockedUntil }
+  });
+};
+
+module.exports = {
+  LOCKOUT_FIELDS,
+  checkLogin,
+  lockedError
+};
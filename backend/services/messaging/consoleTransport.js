@@ -0,0 +1,10 @@
+// Development stand-in: prints each message to stdout
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`[${message.channel.toUpperCase()}] to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${message.body}`);
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleTransport;
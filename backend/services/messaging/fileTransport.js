@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development stand-in: appends each message as a JSON line to an outbox file
+const createFileTransport = (filePath = process.env.MESSAGE_OUTBOX_PATH || path.join(__dirname, '../../logs/outbox.log')) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    return { id: `file-${Date.now()}` };
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,59 @@
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Outbound SMS/email goes through one transport, chosen by MESSAGE_TRANSPORT.
+// A transport is any object with `send({ channel, to, subject, body })`
+// returning a promise; real providers are added with registerTransport.
+//
+// The file and console transports write messages, OTP codes included, in
+// plain text, so they exist outside production only. Production must name a
+// registered transport (see assertTransportConfigured).
+const production = process.env.NODE_ENV === 'production';
+
+const factories = production ? {} : {
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const transportName = () => process.env.MESSAGE_TRANSPORT || (production ? null : 'file');
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    assertTransportConfigured();
+    transport = factories[transportName()]();
+  }
+  return transport;
+};
+
+// Throw unless MESSAGE_TRANSPORT names a registered transport (in
+// production there is no default). Called at startup.
+const assertTransportConfigured = () => {
+  const name = transportName();
+  if (!name) throw new Error('MESSAGE_TRANSPORT must be set in production');
+  if (!factories[name]) throw new Error(`Unknown message transport: ${name}`);
+};
+
+// Swap the active transport (e.g. in scripts or tests)
+const setTransport = (instance) => {
+  transport = instance;
+};
+
+const sendMessage = ({ channel, to, subject, body }) => {
+  if (!['sms', 'email'].includes(channel)) {
+    return Promise.reject(new Error(`Unsupported channel: ${channel}`));
+  }
+  return getTransport().send({ channel, to, subject, body });
+};
+
+module.exports = {
+  registerTransport,
+  assertTransportConfigured,
+  setTransport,
+  sendMessage
+};
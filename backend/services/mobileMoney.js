@@ -0,0 +1,117 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { getProvider, defaultProviderName } = require('./paymentProviders');
+const {
+  PAYABLE_STATUSES,
+  generateReference,
+  inTransaction,
+  findPayableLoan,
+  applyPaymentToLoan
+} = require('./repayments');
+const { roundMoney } = require('../utils/money');
+const { BadRequestError, UnauthorizedError, NotFoundError, BadGatewayError, ServiceUnavailableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Start a mobile money collection for a loan. The Payment is created as
+// `pending` and only applied to the loan when the provider confirms it.
+const initiateMobilePayment = async ({ filter, amount, msisdn, providerName = defaultProviderName() }) => {
+  if (!providerName) {
+    throw new ServiceUnavailableError('Mobile money payments are not available', { code: 'PROVIDER_NOT_CONFIGURED' });
+  }
+  const provider = getProvider(providerName);
+  if (!provider) throw new BadRequestError(`Unknown payment provider: ${providerName}`);
+
+  const loan = await findPayableLoan(filter, amount, null);
+
+  const payment = await Payment.create({
+    user: loan.user._id || loan.user,
+    loan: loan._id,
+    amount: roundMoney(amount),
+    paymentMethod: 'mobile',
+    reference: generateReference(),
+    status: 'pending',
+    provider: provider.name,
+    msisdn
+  });
+
+  try {
+    const result = await provider.initiateCollection({
+      amount: payment.amount,
+      msisdn,
+      reference: payment.reference
+    });
+    payment.providerReference = result.providerReference;
+    await payment.save();
+  } catch (err) {
+    payment.status = 'failed';
+    payment.failureReason = err.message;
+    await payment.save();
+    logger.error('Mobile money initiation failed', { err, provider: provider.name });
+    throw new BadGatewayError('Payment provider is unavailable. Please try again later', { code: 'PROVIDER_UNAVAILABLE' });
+  }
+
+  return { loan, payment };
+};
+
+// Handle a provider callback. The signature is checked against the raw body,
+// and a callback for a payment that is no longer pending is acknowledged
+// without changing anything, so provider retries are harmless.
+const handleProviderCallback = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider) throw new NotFoundError('Unknown payment provider');
+
+  if (!provider.verifySignature(rawBody, headers)) {
+    throw new UnauthorizedError('Invalid signature', { code: 'INVALID_SIGNATURE' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (err) {
+    throw new BadRequestError('Malformed callback body');
+  }
+
+  const callback = provider.parseCallback(body);
+
+  return inTransaction(async (session) => {
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      providerReference: callback.providerReference
+    }).session(session);
+
+    if (!payment) throw new NotFoundError('Payment not found');
+    if (payment.status !== 'pending') return { payment, duplicate: true };
+
+    if (callback.status !== 'completed') {
+      payment.status = 'failed';
+      payment.failureReason = callback.reason || 'Declined by provider';
+      await payment.save({ session });
+      return { payment };
+    }
+
+    if (callback.amount && roundMoney(callback.amount) !== payment.amount) {
+      // Trust what the provider actually collected
+      payment.amount = roundMoney(callback.amount);
+    }
+
+    const loan = await Loan.findById(payment.loan).session(session);
+
+    if (loan && PAYABLE_STATUSES.includes(loan.status)) {
+      applyPaymentToLoan(loan, payment);
+      await loan.save({ session });
+    } else {
+      // The loan was settled or closed while the collection was in flight
+      payment.status = 'completed';
+      payment.paymentDate = new Date();
+      payment.unallocatedAmount = payment.amount;
+    }
+
+    await payment.save({ session });
+    return { payment, loan };
+  });
+};
+
+module.exports = {
+  initiateMobilePayment,
+  handleProviderCallback
+};
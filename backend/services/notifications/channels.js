@@ -0,0 +1,18 @@
+const { sendMessage } = require('../messaging');
+
+// Channel adapters. Each resolves the destination from the user and delivers
+// a rendered message; in-app notifications are delivered by being stored.
+module.exports = {
+  sms: {
+    destination: user => user.phone,
+    send: ({ to, body }) => sendMessage({ channel: 'sms', to, body })
+  },
+  email: {
+    destination: user => user.email,
+    send: ({ to, title, body }) => sendMessage({ channel: 'email', to, subject: title, body })
+  },
+  in_app: {
+    destination: () => null,
+    send: async () => ({ id: 'in_app' })
+  }
+};
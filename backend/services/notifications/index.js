@@ -0,0 +1,135 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const config = require('../../config/notifications');
+const templates = require('./templates');
+const channels = require('./channels');
+const logger = require('../../utils/logger');
+
+// Map stored preference flags to channel names
+const PREFERENCE_FLAGS = { sms: 'sms', email: 'email', in_app: 'inApp' };
+
+const enabledChannels = (user) => {
+  const prefs = user.notificationPreferences || {};
+  return Object.keys(channels).filter(channel => prefs[PREFERENCE_FLAGS[channel]] !== false);
+};
+
+// Queue a templated notification on every channel the user has enabled.
+// `dedupeKey` makes the call idempotent - a key already used is skipped.
+const notify = async (userId, template, data = {}, { dedupeKey } = {}) => {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown notification template: ${template}`);
+
+  const user = await User.findById(userId);
+  if (!user) return [];
+
+  const { title, body } = render(data);
+  const created = [];
+
+  for (const channel of enabledChannels(user)) {
+    const adapter = channels[channel];
+    const isInApp = channel === 'in_app';
+
+    try {
+      created.push(await Notification.create({
+        user: user._id,
+        channel,
+        template,
+        to: adapter.destination(user),
+        title,
+        body,
+        data,
+        status: isInApp ? 'sent' : 'queued',
+        sentAt: isInApp ? new Date() : undefined,
+        maxAttempts: config.maxAttempts,
+        dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined
+      }));
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return created;
+};
+
+// Fire-and-forget wrapper for request handlers: a notification problem must
+// never fail the business operation that triggered it.
+const notifyQuietly = (userId, template, data, options) => {
+  notify(userId, template, data, options).catch(err => {
+    logger.error('Failed to queue notification', { err, template });
+  });
+};
+
+// Attempt delivery of queued notifications whose retry time has come.
+// Failures are retried with exponential backoff until maxAttempts.
+const dispatchPending = async ({ now = new Date() } = {}) => {
+  const totals = { sent: 0, retrying: 0, failed: 0 };
+  const pending = await Notification.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(config.batchSize);
+
+  for (const notification of pending) {
+    const attemptedAt = new Date();
+    notification.attempts += 1;
+
+    try {
+      const result = await channels[notification.channel].send(notification);
+      notification.status = 'sent';
+      notification.sentAt = attemptedAt;
+      notification.deliveries.push({ attemptedAt, success: true, providerId: result?.id });
+      totals.sent += 1;
+    } catch (err) {
+      notification.lastError = err.message;
+      notification.deliveries.push({ attemptedAt, success: false, error: err.message });
+
+      if (notification.attempts >= notification.maxAttempts) {
+        notification.status = 'failed';
+        totals.failed += 1;
+      } else {
+        const delayMinutes = config.retryBaseMinutes * Math.pow(2, notification.attempts - 1);
+        notification.nextAttemptAt = new Date(attemptedAt.getTime() + delayMinutes * 60 * 1000);
+        totals.retrying += 1;
+      }
+    }
+
+    await notification.save();
+  }
+
+  return totals;
+};
+
+const LOAN_STATUS_TEMPLATES = {
+  Approved: 'loan_approved',
+  Rejected: 'loan_rejected',
+  Active: 'loan_disbursed',
+  Completed: 'loan_completed',
+  Defaulted: 'loan_defaulted'
+};
+
+// Credit lines open and close rather than being disbursed and repaid
+const CREDIT_LINE_STATUS_TEMPLATES = {
+  Active: 'credit_line_opened',
+  Completed: 'credit_line_closed'
+};
+
+// Tell the borrower their loan has moved to its current status
+const notifyLoanStatus = (loan) => {
+  const template = (loan.loanType === 'Credit' && CREDIT_LINE_STATUS_TEMPLATES[loan.status])
+    || LOAN_STATUS_TEMPLATES[loan.status];
+  if (!template) return;
+
+  notifyQuietly(loan.user._id || loan.user, template, {
+    loanId: loan._id,
+    loanAmount: loan.loanAmount,
+    reason: loan.rejectionReason,
+    firstDueDate: loan.repaymentSchedule[0]?.dueDate,
+    netDisbursement: loan.refinance?.settledAt ? loan.refinance.netDisbursement : undefined,
+    creditLimit: loan.creditLimit
+  }, { dedupeKey: `loan:${loan._id}:${loan.status}` });
+};
+
+module.exports = {
+  notify,
+  notifyQuietly,
+  notifyLoanStatus,
+  dispatchPending
+};
@@ -0,0 +1,60 @@
+const Loan = require('../../models/Loan');
+const User = require('../../models/User');
+const config = require('../../config/notifications');
+const { notify } = require('./index');
+const { installmentDue } = require('../../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Queue due-soon and overdue reminders for unpaid installments. Each
+// installment gets at most one of each, so the scan is safe to repeat.
+const scheduleReminders = async ({ now = new Date() } = {}) => {
+  const totals = { dueSoon: 0, overdue: 0 };
+  // Users may ask for up to 14 days' notice
+  const horizon = new Date(now.getTime() + 14 * DAY_MS);
+
+  const cursor = Loan.find({
+    status: { $in: ['Active', 'Defaulted'] },
+    repaymentSchedule: { $elemMatch: { status: { $nin: Loan.CLOSED_INSTALLMENT_STATUSES }, dueDate: { $lte: horizon } } }
+  }).cursor();
+  const leadTimes = new Map();
+
+  for await (const loan of cursor) {
+    if (!loan.user) continue;
+    const userId = String(loan.user._id);
+
+    if (!leadTimes.has(userId)) {
+      const user = await User.findById(userId).select('notificationPreferences').lean();
+      leadTimes.set(userId, user?.notificationPreferences?.reminderDaysBefore ?? config.reminderDaysBefore);
+    }
+    const daysBefore = leadTimes.get(userId);
+
+    for (const installment of loan.repaymentSchedule) {
+      const owed = installmentDue(installment) - (installment.paidAmount || 0);
+      if (installment.status === 'Paid' || owed <= 0) continue;
+
+      const remindFrom = new Date(installment.dueDate.getTime() - daysBefore * DAY_MS);
+
+      if (installment.status === 'Late') {
+        const created = await notify(loan.user._id, 'installment_overdue', {
+          loanId: loan._id,
+          amount: owed,
+          dueDate: installment.dueDate,
+          daysPastDue: Math.floor((now - installment.dueDate) / DAY_MS)
+        }, { dedupeKey: `installment:${installment._id}:overdue` });
+        if (created.length) totals.overdue += 1;
+      } else if (now >= remindFrom && now < installment.dueDate) {
+        const created = await notify(loan.user._id, 'installment_due_soon', {
+          loanId: loan._id,
+          amount: owed,
+          dueDate: installment.dueDate
+        }, { dedupeKey: `installment:${installment._id}:due_soon` });
+        if (created.length) totals.dueSoon += 1;
+      }
+    }
+  }
+
+  return totals;
+};
+
+module.exports = { scheduleReminders };
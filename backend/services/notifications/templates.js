@@ -0,0 +1,77 @@
+// Message templates. Each returns a title (email subject / in-app heading)
+// and a body short enough for a single SMS.
+const formatAmount = (amount) => `M${Number(amount || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+module.exports = {
+  installment_due_soon: ({ amount, dueDate }) => ({
+    title: 'Upcoming loan payment',
+    body: `Reminder: your loan installment of ${formatAmount(amount)} is due on ${formatDate(dueDate)}.`
+  }),
+  installment_overdue: ({ amount, dueDate, daysPastDue }) => ({
+    title: 'Loan payment overdue',
+    body: `Your installment of ${formatAmount(amount)} due on ${formatDate(dueDate)} is ${daysPastDue} days overdue. Please pay as soon as possible to avoid further charges.`
+  }),
+  loan_approved: ({ loanAmount }) => ({
+    title: 'Loan approved',
+    body: `Good news! Your loan application for ${formatAmount(loanAmount)} has been approved.`
+  }),
+  loan_rejected: ({ loanAmount, reason }) => ({
+    title: 'Loan application declined',
+    body: `Your loan application for ${formatAmount(loanAmount)} was declined${reason ? `: ${reason}` : '.'}`
+  }),
+  loan_disbursed: ({ loanAmount, firstDueDate, netDisbursement }) => ({
+    title: 'Loan disbursed',
+    body: netDisbursement === undefined
+      ? `Your loan of ${formatAmount(loanAmount)} has been disbursed. Your first payment is due on ${formatDate(firstDueDate)}.`
+      : `Your loan of ${formatAmount(loanAmount)} has paid off your refinanced loans and ${formatAmount(netDisbursement)} has been disbursed. Your first payment is due on ${formatDate(firstDueDate)}.`
+  }),
+  credit_line_opened: ({ creditLimit }) => ({
+    title: 'Credit line open',
+    body: `Your credit line of ${formatAmount(creditLimit)} is open. You can draw on it from the app at any time.`
+  }),
+  credit_line_closed: () => ({
+    title: 'Credit line closed',
+    body: 'Your credit line has been closed. Nothing is owed on it.'
+  }),
+  credit_drawn: ({ amount, availableCredit }) => ({
+    title: 'Funds drawn',
+    body: `${formatAmount(amount)} has been drawn from your credit line. Available credit: ${formatAmount(availableCredit)}.`
+  }),
+  credit_statement: ({ balance, minimumPayment, dueDate }) => ({
+    title: 'Credit line statement',
+    body: `Your credit line balance is ${formatAmount(balance)}. Minimum payment of ${formatAmount(minimumPayment)} is due on ${formatDate(dueDate)}.`
+  }),
+  loan_completed: () => ({
+    title: 'Loan fully repaid',
+    body: 'Congratulations, your loan has been repaid in full.'
+  }),
+  loan_defaulted: () => ({
+    title: 'Loan in default',
+    body: 'Your loan has been placed in default. Please contact us to discuss repayment.'
+  }),
+  loan_restructured: ({ installment, firstDueDate }) => ({
+    title: 'Loan restructured',
+    body: `Your loan has been restructured. Your new installment is ${formatAmount(installment)}, first due on ${formatDate(firstDueDate)}.`
+  }),
+  guarantee_requested: ({ borrowerName, loanAmount, guaranteedAmount }) => ({
+    title: 'Loan guarantee request',
+    body: `${borrowerName} has asked you to guarantee ${formatAmount(guaranteedAmount)} of a loan of ${formatAmount(loanAmount)}. Open the app to accept or decline.`
+  }),
+  guarantee_answered: ({ guarantorName, accepted }) => ({
+    title: accepted ? 'Guarantor accepted' : 'Guarantor declined',
+    body: accepted
+      ? `${guarantorName} has agreed to guarantee your loan application.`
+      : `${guarantorName} has declined to guarantee your loan application. It cannot be approved without them.`
+  }),
+  kyc_document_reviewed: ({ documentType, approved, notes, kycStatus }) => ({
+    title: approved ? 'Document approved' : 'Document rejected',
+    body: approved
+      ? `Your ${documentType.replace(/_/g, ' ')} has been approved.${kycStatus === 'verified' ? ' Your identity is now verified and you can apply for loans.' : ''}`
+      : `Your ${documentType.replace(/_/g, ' ')} was rejected: ${notes}. Please upload a new one.`
+  }),
+  payment_received: ({ amount, reference, outstandingBalance }) => ({
+    title: 'Payment received',
+    body: `We received your payment of ${formatAmount(amount)} (ref ${reference}). Outstanding balance: ${formatAmount(outstandingBalance)}.`
+  })
+};
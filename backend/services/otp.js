@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+const { sendMessage } = require('./messaging');
+const { BadRequestError, TooManyRequestsError } = require('../utils/errors');
+
+const CODE_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+const TEMPLATES = {
+  verify_phone: {
+    subject: 'Verify your phone number',
+    body: code => `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+  },
+  verify_email: {
+    subject: 'Verify your email address',
+    body: code => `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+  },
+  reset_password: {
+    subject: 'Reset your password',
+    body: code => `Your password reset code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not request this, ignore this message.`
+  }
+};
+
+const hashCode = (code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(code)
+  .digest('hex');
+
+const invalidCode = () => new BadRequestError('Code is invalid or has expired', { code: 'INVALID_CODE' });
+
+// Create and deliver a fresh code. Any earlier unused code for the same
+// purpose stops working.
+const issueCode = async ({ user, purpose, channel, destination }) => {
+  const latest = await OneTimeCode.findOne({ user: user._id, purpose }).sort({ createdAt: -1 });
+  if (latest && Date.now() - latest.createdAt < RESEND_COOLDOWN_SECONDS * 1000) {
+    throw new TooManyRequestsError(`Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`, {
+      code: 'OTP_COOLDOWN',
+      headers: { 'Retry-After': String(RESEND_COOLDOWN_SECONDS) }
+    });
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await OneTimeCode.updateMany(
+    { user: user._id, purpose, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  await OneTimeCode.create({
+    user: user._id,
+    purpose,
+    channel,
+    destination,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  const template = TEMPLATES[purpose];
+  await sendMessage({
+    channel,
+    to: destination,
+    subject: template.subject,
+    body: template.body(code)
+  });
+};
+
+// Check a code and consume it on success. Wrong guesses count towards the
+// attempt limit; the code is dead once the limit is reached.
+const verifyCode = async ({ user, purpose, code }) => {
+  const record = await OneTimeCode.findOne({
+    user: user._id,
+    purpose,
+    consumedAt: null
+  }).sort({ createdAt: -1 });
+
+  if (!record || record.expiresAt <= new Date()) {
+    throw invalidCode();
+  }
+
+  if (record.attempts >= record.maxAttempts) {
+    throw new TooManyRequestsError('Too many incorrect attempts. Request a new code', { code: 'OTP_ATTEMPTS_EXCEEDED' });
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code || '')), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    record.attempts += 1;
+    await record.save();
+    throw invalidCode();
+  }
+
+  // Consume atomically so a code cannot be used twice in parallel
+  const consumed = await OneTimeCode.findOneAndUpdate(
+    { _id: record._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  if (!consumed) throw invalidCode();
+};
+
+module.exports = { issueCode, verifyCode };
@@ -0,0 +1,44 @@
+const simulator = require('./simulator');
+const logger = require('../../utils/logger');
+
+// Mobile money providers by name. A provider implements:
+//   initiateCollection({ amount, msisdn, reference }) -> { providerReference, status }
+//   verifySignature(rawBody, headers) -> boolean
+//   parseCallback(body) -> { providerReference, status: 'completed' | 'failed', amount, reason }
+//
+// The simulator settles whatever it is told to, so it is registered outside
+// production only, and only when MOBILE_MONEY_SIMULATOR_SECRET is set to sign
+// its callbacks. Production must name a real provider in MOBILE_MONEY_PROVIDER.
+const production = process.env.NODE_ENV === 'production';
+
+const providers = {};
+if (!production && process.env.MOBILE_MONEY_SIMULATOR_SECRET) {
+  providers[simulator.name] = simulator;
+}
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+// null when no provider is usable; mobile payments are then refused with a 503
+const defaultProviderName = () =>
+  process.env.MOBILE_MONEY_PROVIDER || (providers[simulator.name] ? simulator.name : null);
+
+// Called at startup. Production needs a registered default provider; elsewhere
+// a missing one only disables mobile payments.
+const assertProviderConfigured = () => {
+  const name = defaultProviderName();
+  if (name && !providers[name]) throw new Error(`Unknown payment provider: ${name}`);
+  if (name) return;
+  if (production) throw new Error('MOBILE_MONEY_PROVIDER must be set in production');
+  logger.warn('No mobile money provider configured; set MOBILE_MONEY_SIMULATOR_SECRET to enable the payment simulator');
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  defaultProviderName,
+  assertProviderConfigured
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Local stand-in for a mobile wallet (M-Pesa / EcoCash style) collection API.
+// It accepts every request and never calls back by itself: callbacks are
+// produced with buildCallback (see the simulator route) and go through the
+// same webhook handler, signature check included, as a real provider's would.
+const SIGNATURE_HEADER = 'x-simulator-signature';
+
+// No default: a well-known secret would let anyone sign a callback
+const secret = () => {
+  const value = process.env.MOBILE_MONEY_SIMULATOR_SECRET;
+  if (!value) throw new Error('MOBILE_MONEY_SIMULATOR_SECRET is not set');
+  return value;
+};
+
+const sign = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+module.exports = {
+  name: 'simulator',
+
+  async initiateCollection({ amount, msisdn, reference }) {
+    return {
+      providerReference: `SIM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      status: 'pending',
+      message: `Simulated collection of ${amount} from ${msisdn} for ${reference}`
+    };
+  },
+
+  verifySignature(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(sign(rawBody), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  // Normalise the provider payload to { providerReference, status, amount, reason }
+  parseCallback(body) {
+    return {
+      providerReference: body.transactionId,
+      status: body.resultCode === '0' ? 'completed' : 'failed',
+      amount: Number(body.amount),
+      reason: body.resultDescription
+    };
+  },
+
+  buildCallback({ providerReference, amount, succeed = true }) {
+    const rawBody = Buffer.from(JSON.stringify({
+      transactionId: providerReference,
+      amount,
+      resultCode: succeed ? '0' : '1',
+      resultDescription: succeed ? 'Success' : 'Insufficient funds'
+    }));
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+  }
+};
@@ -0,0 +1,136 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { generateReference, applyPaymentToLoan } = require('./repayments');
+const { roundMoney } = require('../utils/money');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+// Refinance / debt consolidation: a new loan that pays off some of the
+// borrower's existing loans when it is disbursed. The application records a
+// payoff quote per loan; disbursement settles each loan at its payoff amount
+// on the day and only the rest of the loan amount reaches the borrower.
+
+// Loans a refinance can pay off
+const REFINANCEABLE_STATUSES = ['Active'];
+
+// Applications that may still be disbursed
+const OPEN_APPLICATION_STATUSES = ['Pending', 'Approved'];
+
+const userIdOf = loan => loan.user._id || loan.user;
+
+// Quote paying off `loanIds` (the borrower's own active loans) from a new
+// loan of `loanAmount`. Returns the value stored as the application's
+// `refinance`; throws if any loan cannot be refinanced.
+const quoteRefinance = async ({ userId, loanIds, loanAmount, asOf = new Date() }) => {
+  const loans = await Loan.find({ _id: { $in: loanIds }, user: userId });
+
+  const missing = loanIds.filter(id => !loans.some(loan => loan._id.equals(id)));
+  if (missing.length > 0) {
+    throw new BadRequestError('Loan to refinance not found', {
+      code: 'REFINANCE_LOAN_NOT_FOUND',
+      errors: missing.map(id => ({ field: 'refinanceLoanIds', location: 'body', message: `Loan ${id} not found` }))
+    });
+  }
+
+  if (loans.some(loan => loan.loanType === 'Credit')) {
+    throw new ConflictError('Credit lines cannot be refinanced', { code: 'CREDIT_LINE_NOT_SUPPORTED' });
+  }
+
+  const closed = loans.filter(loan => !REFINANCEABLE_STATUSES.includes(loan.status));
+  if (closed.length > 0) {
+    throw new ConflictError(`Only active loans can be refinanced; ${closed.map(loan => `${loan._id} is ${loan.status}`).join(', ')}`, {
+      code: 'REFINANCE_LOAN_NOT_ACTIVE'
+    });
+  }
+
+  const claimed = await Loan.exists({
+    status: { $in: OPEN_APPLICATION_STATUSES },
+    'refinance.loans.loan': { $in: loanIds }
+  });
+  if (claimed) {
+    throw new ConflictError('A loan in this list is already being refinanced by another application', {
+      code: 'REFINANCE_IN_PROGRESS'
+    });
+  }
+
+  const quotes = loans.map(loan => ({
+    loan: loan._id,
+    quotedPayoff: loan.payoffQuote(asOf).payoffAmount
+  }));
+  const totalPayoff = roundMoney(quotes.reduce((sum, quote) => sum + quote.quotedPayoff, 0));
+
+  if (totalPayoff > loanAmount) {
+    throw new BadRequestError(`Loan amount must cover the ${totalPayoff} needed to pay off the refinanced loans`, {
+      code: 'REFINANCE_AMOUNT_TOO_LOW'
+    });
+  }
+
+  return {
+    loans: quotes,
+    quotedAt: asOf,
+    totalPayoff,
+    netDisbursement: roundMoney(loanAmount - totalPayoff)
+  };
+};
+
+// Pay off the loans a refinance application lists, inside the caller's
+// transaction. Each old loan gets a settlement Payment (paymentMethod
+// 'refinance', linked to `loan`) for its payoff amount on `asOf` and is
+// completed. Updates `loan.refinance` with what was actually settled and
+// returns the settled loans. Saves the old loans and payments, not `loan`.
+const settleRefinancedLoans = async (loan, { session, settledBy, asOf = new Date() }) => {
+  const settled = [];
+  let total = 0;
+
+  for (const entry of loan.refinance.loans) {
+    const old = await Loan.findOne({ _id: entry.loan, user: userIdOf(loan) }).session(session);
+
+    if (!old || !REFINANCEABLE_STATUSES.includes(old.status)) {
+      throw new ConflictError(`Loan ${entry.loan} can no longer be refinanced${old ? ` (it is ${old.status})` : ''}`, {
+        code: 'REFINANCE_LOAN_NOT_ACTIVE'
+      });
+    }
+
+    const amount = old.prepareEarlySettlement(asOf);
+    const payment = new Payment({
+      user: userIdOf(old),
+      loan: old._id,
+      amount,
+      paymentMethod: 'refinance',
+      reference: generateReference(),
+      refinanceLoan: loan._id,
+      recordedBy: settledBy
+    });
+
+    old.transitionTo('Completed', { changedBy: settledBy, reason: `Refinanced by loan ${loan._id}` });
+    old.completedAt = asOf;
+    old.refinancedBy = loan._id;
+    applyPaymentToLoan(old, payment, { recordedBy: settledBy, paidDate: asOf });
+
+    await payment.save({ session });
+    await old.save({ session });
+
+    entry.settledAmount = amount;
+    entry.payment = payment._id;
+    total = roundMoney(total + amount);
+    settled.push(old);
+  }
+
+  // Payoffs grow with accrued interest and penalties between quote and disbursement
+  if (total > loan.loanAmount) {
+    throw new ConflictError(`Paying off the refinanced loans now takes ${total}, more than the loan amount`, {
+      code: 'REFINANCE_AMOUNT_TOO_LOW'
+    });
+  }
+
+  loan.refinance.totalPayoff = total;
+  loan.refinance.netDisbursement = roundMoney(loan.loanAmount - total);
+  loan.refinance.settledAt = asOf;
+
+  return settled;
+};
+
+module.exports = {
+  REFINANCEABLE_STATUSES,
+  quoteRefinance,
+  settleRefinancedLoans
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { roundMoney } = require('../utils/money');
+const { installmentDue } = require('../utils/amortization');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Statuses that can still receive repayments
+const PAYABLE_STATUSES = ['Active', 'Defaulted'];
+
+const installmentBalance = (installment) =>
+  roundMoney(installmentDue(installment) - (installment.paidAmount || 0));
+
+const generateReference = () =>
+  `PAY-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Spread `amount` over the unpaid installments, oldest due date first.
+// Mutates the schedule entries and returns the allocations made plus any
+// amount left over once every installment is settled.
+const allocatePayment = (schedule, amount, { paidDate = new Date(), transactionId } = {}) => {
+  let remaining = roundMoney(amount);
+  const allocations = [];
+
+  const unpaid = schedule
+    .filter(installment => installmentBalance(installment) > 0)
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  for (const installment of unpaid) {
+    if (remaining <= 0) break;
+
+    const applied = Math.min(remaining, installmentBalance(installment));
+    installment.paidAmount = roundMoney((installment.paidAmount || 0) + applied);
+    installment.transactionId = transactionId;
+    remaining = roundMoney(remaining - applied);
+
+    if (installmentBalance(installment) <= 0) {
+      installment.status = 'Paid';
+      installment.paidDate = paidDate;
+    } else if (installment.status !== 'Late') {
+      // A partially paid late installment stays Late until cleared
+      installment.status = 'Partial';
+    }
+
+    allocations.push({
+      installment: installment._id,
+      dueDate: installment.dueDate,
+      amount: applied
+    });
+  }
+
+  return { allocations, unallocated: remaining };
+};
+
+// Apply a payment to a loan loaded in the caller's session: allocates the
+// amount over the schedule, marks the payment completed and completes the
+// loan once nothing is owed. Saves neither document.
+//
+// A credit line's schedule only holds its minimum payments, so the payment
+// also pays down the line's balance, and the line stays open at zero.
+const applyPaymentToLoan = (loan, payment, { recordedBy, paidDate = new Date() } = {}) => {
+  const { allocations, unallocated } = allocatePayment(loan.repaymentSchedule, payment.amount, {
+    paidDate,
+    transactionId: payment.reference
+  });
+
+  payment.allocations = allocations;
+  payment.unallocatedAmount = unallocated;
+  payment.status = 'completed';
+  payment.paymentDate = paidDate;
+
+  if (loan.loanType === 'Credit') {
+    const { unapplied } = loan.applyCreditRepayment(payment.amount, {
+      asOf: paidDate,
+      reference: payment.reference,
+      payment: payment._id
+    });
+    payment.unallocatedAmount = unapplied;
+    return;
+  }
+
+  if (loan.outstandingBalance <= 0 && loan.status !== 'Completed') {
+    loan.transitionTo('Completed', { changedBy: recordedBy, reason: 'Paid in full' });
+    loan.completedAt = paidDate;
+  }
+};
+
+// Run `work(session)` in a MongoDB transaction and return its result
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+// Load a loan that can take a payment of `amount`, or throw
+const findPayableLoan = async (filter, amount, session) => {
+  const loan = await Loan.findOne(filter).session(session);
+
+  if (!loan) throw new NotFoundError('Loan not found');
+
+  if (!PAYABLE_STATUSES.includes(loan.status)) {
+    throw new ConflictError(`Cannot record a payment on a ${loan.status} loan`, { code: 'LOAN_NOT_PAYABLE' });
+  }
+
+  // A credit line's balance includes interest accrued up to today
+  if (loan.loanType === 'Credit') loan.accrueCreditInterest(new Date());
+
+  const outstanding = loan.outstandingBalance;
+  if (amount > outstanding) {
+    throw new BadRequestError(`Payment exceeds the outstanding balance of ${outstanding}`, { code: 'OVERPAYMENT' });
+  }
+
+  return loan;
+};
+
+// Record a repayment against a loan: creates the Payment, allocates it over
+// the schedule and completes the loan once nothing is owed. Both documents
+// are written in a single transaction.
+//
+// `filter` scopes the loan lookup (e.g. to the borrower's own loans).
+const recordLoanPayment = ({ filter, amount, paymentMethod, reference, recordedBy }) =>
+  inTransaction(async (session) => {
+    const loan = await findPayableLoan(filter, amount, session);
+
+    const payment = new Payment({
+      user: loan.user._id || loan.user,
+      loan: loan._id,
+      amount: roundMoney(amount),
+      paymentMethod,
+      reference: reference || generateReference(),
+      recordedBy
+    });
+
+    applyPaymentToLoan(loan, payment, { recordedBy });
+
+    await payment.save({ session });
+    await loan.save({ session });
+
+    return { loan, payment };
+  });
+
+module.exports = {
+  PAYABLE_STATUSES,
+  allocatePayment,
+  installmentBalance,
+  generateReference,
+  inTransaction,
+  findPayableLoan,
+  applyPaymentToLoan,
+  recordLoanPayment
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const Staff = require('../models/Staff');
+const { signAccessToken } = require('../utils/tokens');
+const { UnauthorizedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = message => new UnauthorizedError(message, { code: 'INVALID_REFRESH_TOKEN' });
+
+const modelFor = (userType) => (userType === 'staff' ? Staff : User);
+
+// Issue an access token and a new refresh token. Pass `family` when rotating
+// so the new token stays linked to the original login.
+const createSession = async (principal, userType, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    user: principal._id,
+    userType,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt,
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    accessToken: signAccessToken(principal, userType),
+    refreshToken,
+    expiresAt
+  };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every refresh token of a principal and invalidate its access tokens
+const revokeAllSessions = async (principalId, userType, reason = 'logout_all') => {
+  await RefreshToken.updateMany(
+    { user: principalId, userType, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await modelFor(userType).updateOne({ _id: principalId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked - the whole family is revoked.
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) throw sessionError('No refresh token');
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record) throw sessionError('Invalid refresh token');
+
+  if (record.revokedAt) {
+    if (record.revokedReason === 'rotated') {
+      await revokeFamily(record.family, 'reuse_detected');
+      logger.warn('Refresh token reuse detected; family revoked', {
+        userType: record.userType,
+        userId: record.user,
+        family: record.family
+      });
+    }
+    throw sessionError('Refresh token has been revoked');
+  }
+
+  if (record.expiresAt <= new Date()) throw sessionError('Refresh token has expired');
+
+  const principal = await modelFor(record.userType).findById(record.user).select('+tokenVersion');
+  if (!principal || (record.userType === 'staff' && !principal.active)) {
+    await revokeFamily(record.family, 'account_disabled');
+    throw sessionError('Account no longer available');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family, 'reuse_detected');
+    throw sessionError('Refresh token has been revoked');
+  }
+
+  const session = await createSession(principal, record.userType, req, record.family);
+  await RefreshToken.updateOne({ _id: record._id }, { replacedByHash: hashToken(session.refreshToken) });
+
+  return { ...session, principal, userType: record.userType };
+};
+
+// Revoke the presented refresh token (single-device logout)
+const endSession = async (refreshToken) => {
+  if (!refreshToken) return;
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+};
+
+const cookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // The frontend is served from a different site in production
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || (production ? 'none' : 'lax'),
+    path: '/api'
+  };
+};
+
+const setRefreshCookie = (res, { refreshToken, expiresAt }) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+};
@@ -0,0 +1,39 @@
+const createLocalStorage = require('./localStorage');
+
+// Uploaded files go to one storage backend, chosen by STORAGE_BACKEND.
+// A backend is any object with
+//   save(key, buffer) -> { key }
+//   read(key) -> Buffer
+//   remove(key)
+// all returning promises; others (e.g. object storage) are added with
+// registerStorage.
+const factories = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const registerStorage = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown storage backend: ${name}`);
+    storage = factory();
+  }
+  return storage;
+};
+
+// Swap the active backend (e.g. in scripts or tests)
+const setStorage = (instance) => {
+  storage = instance;
+};
+
+module.exports = {
+  registerStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default backend: files under a directory on the local disk. A relative
+// STORAGE_LOCAL_DIR is taken from the backend directory, not the working
+// directory, so every way of starting the server uses the same files.
+const createLocalStorage = (root = path.resolve(__dirname, '..', '..', process.env.STORAGE_LOCAL_DIR || 'uploads')) => {
+  // Keys come from the application, but never let one escape the root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`);
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // wx: never overwrite an existing file
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return { key };
+    },
+    read(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
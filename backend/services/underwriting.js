@@ -0,0 +1,90 @@
+const defaultPolicy = require('../config/underwriting');
+const { monthlyInstallment } = require('../utils/amortization');
+const { roundMoney } = require('../utils/money');
+
+// Evaluate a loan application against the underwriting policy. Pure - the
+// caller supplies the applicant and their open loans.
+//
+// Every rule that fires adds a reason with an outcome of 'decline' or
+// 'refer'; the worst outcome wins, and an application with no reasons is
+// approved (or referred when auto-approval is switched off).
+const evaluateApplication = ({ application, user, openLoans = [], policy = defaultPolicy }) => {
+  const reasons = [];
+  const decline = (code, message) => reasons.push({ code, message, outcome: 'decline' });
+  const refer = (code, message) => reasons.push({ code, message, outcome: 'refer' });
+
+  const statedMonthlyIncome = Number(application.monthlyIncome) || 0;
+  const declaredMonthlyIncome = user.annualIncome != null ? user.annualIncome / 12 : null;
+
+  // Cross-check the stated income against the profile and use the lower figure
+  let monthlyIncome = statedMonthlyIncome;
+  if (declaredMonthlyIncome !== null) {
+    if (statedMonthlyIncome > declaredMonthlyIncome * (1 + policy.incomeTolerance)) {
+      refer('INCOME_MISMATCH',
+        `Stated monthly income ${roundMoney(statedMonthlyIncome)} exceeds the annual income on file (${roundMoney(declaredMonthlyIncome)} per month)`);
+    }
+    monthlyIncome = Math.min(statedMonthlyIncome, declaredMonthlyIncome);
+  }
+
+  const employmentStatus = String(application.employmentStatus || '').toLowerCase();
+  if (policy.declineEmploymentStatuses.includes(employmentStatus)) {
+    decline('EMPLOYMENT_STATUS', `Applicants who are ${employmentStatus} are not eligible`);
+  } else if (policy.referEmploymentStatuses.includes(employmentStatus)) {
+    refer('EMPLOYMENT_STATUS', `Applications from ${employmentStatus} applicants need manual review`);
+  }
+
+  if (monthlyIncome < policy.minMonthlyIncome) {
+    decline('INSUFFICIENT_INCOME', `Monthly income is below the minimum of ${policy.minMonthlyIncome}`);
+  }
+
+  const proposedInstallment = roundMoney(monthlyInstallment(
+    application.loanAmount, application.interestRate, application.loanTerm));
+  const existingInstallments = roundMoney(openLoans.reduce((sum, loan) => sum + (loan.monthlyPayment || 0), 0));
+  const dti = monthlyIncome > 0
+    ? Math.round(((proposedInstallment + existingInstallments) / monthlyIncome) * 1000) / 1000
+    : null;
+
+  if (dti === null || dti > policy.maxDtiRefer) {
+    decline('DTI_TOO_HIGH', dti === null
+      ? 'Debt-to-income cannot be calculated without income'
+      : `Debt-to-income of ${Math.round(dti * 100)}% exceeds the maximum of ${Math.round(policy.maxDtiRefer * 100)}%`);
+  } else if (dti > policy.maxDtiApprove) {
+    refer('DTI_ELEVATED', `Debt-to-income of ${Math.round(dti * 100)}% is above the auto-approval limit of ${Math.round(policy.maxDtiApprove * 100)}%`);
+  }
+
+  if (openLoans.some(loan => loan.status === 'Defaulted')) {
+    decline('EXISTING_DEFAULT', 'Applicant has a loan in default');
+  } else if (openLoans.some(loan => (loan.daysPastDue || 0) > 0)) {
+    refer('EXISTING_ARREARS', 'Applicant has a loan in arrears');
+  }
+
+  if (openLoans.length >= policy.maxOpenLoans) {
+    refer('TOO_MANY_OPEN_LOANS', `Applicant already has ${openLoans.length} open loans`);
+  }
+
+  if (user.creditScore < policy.minCreditScore) {
+    decline('LOW_CREDIT_SCORE', `Credit score ${user.creditScore} is below the minimum of ${policy.minCreditScore}`);
+  } else if (user.creditScore < policy.minCreditScoreApprove) {
+    refer('CREDIT_SCORE_REVIEW', `Credit score ${user.creditScore} is below the auto-approval minimum of ${policy.minCreditScoreApprove}`);
+  }
+
+  if (application.loanAmount > policy.autoApproveMaxAmount) {
+    refer('AMOUNT_REVIEW', `Amounts above ${policy.autoApproveMaxAmount} need manual review`);
+  }
+
+  let decision = 'approve';
+  if (reasons.some(reason => reason.outcome === 'decline')) decision = 'decline';
+  else if (reasons.length > 0 || !policy.autoApprove) decision = 'refer';
+
+  return {
+    decision,
+    dti,
+    monthlyIncome: roundMoney(monthlyIncome),
+    proposedInstallment,
+    existingInstallments,
+    reasons,
+    evaluatedAt: new Date()
+  };
+};
+
+module.exports = { evaluateApplication };
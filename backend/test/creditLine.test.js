@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { assessLoan } = require('../services/delinquency');
+
+const config = { graceDays: 5, lateFee: 50, penaltyInterestRate: 0, defaultAfterDays: 90, creditLinePaymentDueDays: 21 };
+
+// A 10,000 line opened on 1 January with a six-month draw period (to 1 July)
+const openLine = () => {
+  const loan = new Loan({
+    user: new mongoose.Types.ObjectId(),
+    loanAmount: 10000,
+    loanPurpose: 'Personal',
+    loanTerm: 6,
+    interestRate: 18.25,
+    loanType: 'Credit',
+    creditLimit: 10000,
+    creditLine: { minimumPaymentPercent: 5, minimumPaymentFloor: 100 },
+    status: 'Active',
+    disbursedAt: new Date('2026-01-01'),
+    monthlyIncome: 10000,
+    employmentStatus: 'employed'
+  });
+  loan.openCreditLine(new Date('2026-01-01'));
+  return loan;
+};
+
+// Pay off everything owed on `asOf`
+const settle = (loan, asOf) => {
+  loan.accrueCreditInterest(asOf);
+  loan.applyCreditRepayment(loan.outstandingBalance, { asOf });
+};
+
+describe('drawing on a credit line', () => {
+  it('refuses a draw over the available credit', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+
+    assert.throws(() => loan.drawCredit(7000, { asOf: new Date('2026-01-03') }), { code: 'CREDIT_LIMIT_EXCEEDED' });
+    assert.equal(loan.creditLine.drawnBalance, 4000);
+  });
+
+  it('refuses a draw while a minimum payment is overdue, whatever daysPastDue says', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+    const [statement] = loan.billCreditLine(new Date('2026-02-01'), { paymentDueDays: 21 });
+    loan.daysPastDue = 0;
+
+    const dayAfterDue = new Date(statement.dueDate.getTime() + 24 * 60 * 60 * 1000);
+    assert.throws(() => loan.drawCredit(100, { asOf: dayAfterDue }), { code: 'CREDIT_LINE_PAST_DUE' });
+  });
+
+  it('allows a draw as soon as the overdue minimum payment is paid', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+    loan.billCreditLine(new Date('2026-02-01'), { paymentDueDays: 21 });
+    loan.daysPastDue = 30;
+
+    const asOf = new Date('2026-02-23');
+    const [minimum] = loan.repaymentSchedule;
+    loan.applyCreditRepayment(minimum.amount, { asOf });
+    minimum.paidAmount = minimum.amount;
+    minimum.status = 'Paid';
+
+    loan.drawCredit(100, { asOf });
+    assert.equal(loan.creditLine.transactions.filter(t => t.type === 'draw').length, 2);
+  });
+});
+
+describe('closing a settled credit line', () => {
+  it('stays open during the draw period even with nothing owed', () => {
+    const loan = openLine();
+    assert.equal(loan.closeSettledCreditLine(new Date('2026-06-30')), false);
+    assert.equal(loan.status, 'Active');
+  });
+
+  it('stays open after the draw period while anything is owed', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+
+    assert.equal(loan.closeSettledCreditLine(new Date('2026-07-02')), false);
+    assert.equal(loan.status, 'Active');
+  });
+
+  it('completes once the draw period has ended with nothing owed', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+    settle(loan, new Date('2026-06-15'));
+
+    const asOf = new Date('2026-07-02');
+    assert.equal(loan.closeSettledCreditLine(asOf), true);
+    assert.equal(loan.status, 'Completed');
+    assert.equal(loan.completedAt.getTime(), asOf.getTime());
+  });
+
+  it('is closed by the delinquency run', () => {
+    const loan = openLine();
+    loan.drawCredit(4000, { asOf: new Date('2026-01-02') });
+    settle(loan, new Date('2026-06-15'));
+
+    const result = assessLoan(loan, { asOf: new Date('2026-07-02'), config });
+    assert.equal(result.closed, true);
+    assert.equal(loan.status, 'Completed');
+  });
+});
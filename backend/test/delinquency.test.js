@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { assessLoan, delinquencyBucket } = require('../services/delinquency');
+
+// 36.5% a year is 0.1% a day, which keeps the penalty arithmetic readable
+const config = { graceDays: 5, lateFee: 50, penaltyInterestRate: 36.5, defaultAfterDays: 90 };
+
+// A 12-month loan whose first installment falls due on 15 February
+const activeLoan = () => {
+  const loan = new Loan({
+    user: new mongoose.Types.ObjectId(),
+    loanAmount: 12000,
+    loanPurpose: 'Personal',
+    loanTerm: 12,
+    interestRate: 12,
+    status: 'Active',
+    monthlyIncome: 10000,
+    employmentStatus: 'employed'
+  });
+  loan.generateRepaymentSchedule(new Date('2026-01-15'));
+  return loan;
+};
+
+describe('delinquencyBucket', () => {
+  it('buckets days past due', () => {
+    const buckets = [0, 1, 30, 31, 60, 61, 90, 91].map(delinquencyBucket);
+    assert.deepEqual(buckets, ['Current', '1-30', '1-30', '31-60', '31-60', '61-90', '61-90', '90+']);
+  });
+});
+
+describe('assessing a loan', () => {
+  it('does not charge an installment still within its grace period', () => {
+    const loan = activeLoan();
+    const result = assessLoan(loan, { asOf: new Date('2026-02-20'), config });
+
+    assert.equal(result.feesCharged, 0);
+    assert.equal(result.daysPastDue, 5);
+    assert.equal(result.bucket, '1-30');
+    assert.equal(loan.repaymentSchedule[0].status, 'Pending');
+  });
+
+  it('charges the late fee once and penalty interest per whole day after the grace period', () => {
+    const loan = activeLoan();
+    const [first] = loan.repaymentSchedule;
+
+    // 10 days after the grace period ended on 20 February
+    const result = assessLoan(loan, { asOf: new Date('2026-03-02'), config });
+    assert.equal(result.newlyLate, 1);
+    assert.equal(result.feesCharged, 50);
+    assert.equal(result.penaltyAccrued, Math.round(first.amount * 0.001 * 10 * 100) / 100);
+    assert.equal(first.status, 'Late');
+    assert.equal(first.lateFee, 50);
+
+    const again = assessLoan(loan, { asOf: new Date('2026-03-02'), config });
+    assert.equal(again.newlyLate, 0);
+    assert.equal(again.feesCharged, 0);
+    assert.equal(again.penaltyAccrued, 0);
+    assert.equal(first.lateFee, 50);
+  });
+
+  it('ages the loan from its oldest overdue installment', () => {
+    const loan = activeLoan();
+    const result = assessLoan(loan, { asOf: new Date('2026-04-20'), config });
+
+    assert.equal(result.daysPastDue, 64);
+    assert.equal(result.bucket, '61-90');
+    assert.equal(loan.daysPastDue, 64);
+    assert.equal(loan.delinquencyBucket, '61-90');
+  });
+
+  it('defaults an active loan at the configured days past due', () => {
+    const loan = activeLoan();
+
+    assert.equal(assessLoan(loan, { asOf: new Date('2026-05-15'), config }).defaulted, false);
+    assert.equal(loan.status, 'Active');
+
+    const result = assessLoan(loan, { asOf: new Date('2026-05-16'), config });
+    assert.equal(result.defaulted, true);
+    assert.equal(result.daysPastDue, 90);
+    assert.equal(loan.status, 'Defaulted');
+    assert.equal(loan.defaultedAt.toISOString(), '2026-05-16T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+
+// Loans are priced from their product, so every rate a product accepts must
+// also be a valid loan rate
+
+const productAt = interestRate => new LoanProduct({
+  lender: new mongoose.Types.ObjectId(),
+  name: 'Staff Loan',
+  code: 'STAFF',
+  minAmount: 1000,
+  maxAmount: 50000,
+  minTerm: 1,
+  maxTerm: 24,
+  interestRate,
+  allowedPurposes: ['Personal']
+});
+
+const loanFrom = (product, { loanAmount = 12000, loanTerm = 12 } = {}) => {
+  const loan = new Loan({
+    user: new mongoose.Types.ObjectId(),
+    loanAmount,
+    loanPurpose: 'Personal',
+    loanTerm,
+    interestRate: product.interestRate,
+    lender: product.lender,
+    product: product._id,
+    lenderName: 'Test Lender',
+    monthlyIncome: 10000,
+    employmentStatus: 'employed'
+  });
+  loan.generateRepaymentSchedule(new Date('2026-01-15'));
+  return loan;
+};
+
+describe('loans priced from low-rate products', () => {
+  for (const rate of [0, 0.5, 0.99]) {
+    it(`accepts a ${rate}% product and a loan priced from it`, () => {
+      const product = productAt(rate);
+      assert.equal(product.validateSync(), undefined);
+
+      const loan = loanFrom(product);
+      assert.equal(loan.validateSync(), undefined);
+      assert.equal(loan.interestRate, rate);
+      assert.equal(loan.repaymentSchedule.length, 12);
+    });
+  }
+
+  it('amortizes a 0% loan as equal principal-only installments', () => {
+    const loan = loanFrom(productAt(0));
+
+    for (const installment of loan.repaymentSchedule) {
+      assert.equal(installment.amount, 1000);
+      assert.equal(installment.interest, 0);
+    }
+    assert.equal(loan.totalRepayment, 12000);
+  });
+
+  it('still rejects a negative rate', () => {
+    const loan = loanFrom(productAt(0));
+    loan.interestRate = -1;
+    assert.ok(loan.validateSync().errors.interestRate);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { assessLoan } = require('../services/delinquency');
+
+// A 12-month loan disbursed on 15 January: February is paid, March and April
+// are overdue (with late fees) when it is restructured on 1 May
+const ASSESSED_AT = new Date('2026-05-01');
+
+const config = { graceDays: 5, lateFee: 50, penaltyInterestRate: 0, defaultAfterDays: 90 };
+
+const loanInArrears = () => {
+  const loan = new Loan({
+    user: new mongoose.Types.ObjectId(),
+    loanAmount: 12000,
+    loanPurpose: 'Personal',
+    loanTerm: 12,
+    interestRate: 12,
+    status: 'Active',
+    disbursedAt: new Date('2026-01-15'),
+    monthlyIncome: 10000,
+    employmentStatus: 'employed'
+  });
+  loan.generateRepaymentSchedule(new Date('2026-01-15'));
+
+  const [first] = loan.repaymentSchedule;
+  first.paidAmount = first.amount;
+  first.paidDate = first.dueDate;
+  first.status = 'Paid';
+
+  assessLoan(loan, { asOf: ASSESSED_AT, config });
+  return loan;
+};
+
+describe('restructuring a loan in arrears', () => {
+  it('keeps overdue installments as Capitalized rows', () => {
+    const loan = loanInArrears();
+    const overdue = loan.repaymentSchedule.slice(1, 3).map(installment => ({
+      dueDate: installment.dueDate.getTime(),
+      owed: installment.amount + installment.lateFee
+    }));
+
+    loan.restructure({ extendTermMonths: 6, asOf: ASSESSED_AT });
+
+    const capitalized = loan.repaymentSchedule.filter(installment => installment.status === 'Capitalized');
+    assert.equal(capitalized.length, 2);
+    capitalized.forEach((installment, i) => {
+      assert.equal(installment.dueDate.getTime(), overdue[i].dueDate);
+      assert.equal(installment.capitalizedAt.getTime(), ASSESSED_AT.getTime());
+      assert.equal(installment.capitalizedAmount, overdue[i].owed);
+      assert.equal(installment.amount, 0);
+    });
+    assert.equal(loan.repaymentSchedule[0].status, 'Paid');
+    assert.equal(loan.validateSync(), undefined);
+  });
+
+  it('leaves nothing overdue behind', () => {
+    const loan = loanInArrears();
+    loan.restructure({ extendTermMonths: 6, asOf: ASSESSED_AT });
+
+    const result = assessLoan(loan, { asOf: new Date('2026-05-02'), config });
+    assert.equal(result.daysPastDue, 0);
+    assert.equal(result.bucket, 'Current');
+  });
+
+  it('counts the paid and new installments, not the capitalized ones, in the term', () => {
+    const loan = loanInArrears();
+    const summary = loan.restructure({ extendTermMonths: 6, asOf: ASSESSED_AT });
+
+    // 9 installments not yet due, plus the extension
+    assert.equal(summary.term, 15);
+    assert.equal(loan.loanTerm, 16);
+    assert.equal(loan.repaymentSchedule.length, 18);
+  });
+
+  it('allows a term of exactly 60 months', () => {
+    const loan = loanInArrears();
+    loan.restructure({ extendTermMonths: 50, asOf: ASSESSED_AT });
+    assert.equal(loan.loanTerm, 60);
+  });
+
+  it('rejects a term over 60 months with the largest extension allowed', () => {
+    const loan = loanInArrears();
+    const schedule = loan.repaymentSchedule.map(installment => installment.amount);
+
+    assert.throws(() => loan.restructure({ extendTermMonths: 51, asOf: ASSESSED_AT }), (err) => {
+      assert.equal(err.status, 400);
+      assert.equal(err.code, 'TERM_TOO_LONG');
+      assert.deepEqual(err.extra, { maxExtendTermMonths: 50 });
+      return true;
+    });
+
+    assert.deepEqual(loan.repaymentSchedule.map(installment => installment.amount), schedule);
+    assert.equal(loan.scheduleHistory.length, 0);
+    assert.equal(loan.loanTerm, 12);
+  });
+});
@@ -0,0 +1,247 @@
+const { roundMoney } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Add calendar months, clamping to the last day of the target month so a
+// loan disbursed on the 31st falls due on the 30th/28th rather than rolling over.
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Everything owed on an installment: the scheduled amount plus any late fee
+// and penalty interest charged by the delinquency job
+const installmentDue = (installment) => roundMoney(
+  installment.amount + (installment.lateFee || 0) + (installment.penaltyInterest || 0));
+
+// Level monthly installment for a fully amortizing loan. A 0% rate is a
+// straight split of the principal.
+const monthlyInstallment = (principal, annualRate, term) => {
+  if (!principal || !term) return 0;
+  const rate = (annualRate || 0) / 100 / 12;
+  if (rate === 0) return principal / term;
+  const factor = Math.pow(1 + rate, term);
+  return principal * (rate * factor) / (factor - 1);
+};
+
+// Build the installment table. Each row splits the installment into interest
+// on the opening balance and principal; the final row absorbs rounding so the
+// balance lands exactly on zero.
+const buildAmortizationSchedule = ({ principal, annualRate, term, startDate = new Date() }) => {
+  const rate = (annualRate || 0) / 100 / 12;
+  const installment = roundMoney(monthlyInstallment(principal, annualRate, term));
+  const schedule = [];
+  let balance = roundMoney(principal);
+
+  for (let i = 1; i <= term; i++) {
+    const interest = roundMoney(balance * rate);
+    const principalPart = i === term ? balance : Math.min(roundMoney(installment - interest), balance);
+    balance = roundMoney(balance - principalPart);
+
+    schedule.push({
+      dueDate: addMonths(startDate, i),
+      amount: roundMoney(principalPart + interest),
+      principal: principalPart,
+      interest,
+      balance
+    });
+  }
+
+  return schedule;
+};
+
+// Settlement amount to close the loan on `asOf`:
+//   - anything already due and unpaid, including penalties,
+//   - principal not yet repaid on future installments,
+//   - interest accrued day-by-day in the current period.
+// Payments on an installment are treated as covering its interest first.
+const quotePayoff = (schedule, { asOf = new Date(), startDate } = {}) => {
+  const installments = [...schedule].sort((a, b) => a.dueDate - b.dueDate);
+  let pastDue = 0;
+  let principalOutstanding = 0;
+  let accruedInterest = 0;
+  let scheduledRemaining = 0;
+  let periodStart = startDate ? new Date(startDate) : null;
+  let currentPeriodFound = false;
+
+  for (const installment of installments) {
+    const paid = installment.paidAmount || 0;
+    const unpaid = Math.max(installmentDue(installment) - paid, 0);
+    scheduledRemaining += unpaid;
+
+    if (installment.dueDate <= asOf) {
+      pastDue += unpaid;
+    } else {
+      const interest = installment.interest || 0;
+      const interestPaid = Math.min(paid, interest);
+      const principal = installment.principal ?? (installment.amount - interest);
+      principalOutstanding += Math.max(principal - (paid - interestPaid), 0);
+
+      if (!currentPeriodFound) {
+        currentPeriodFound = true;
+        const from = periodStart || addMonths(installment.dueDate, -1);
+        const periodDays = Math.max((installment.dueDate - from) / DAY_MS, 1);
+        const elapsedDays = Math.min(Math.max((asOf - from) / DAY_MS, 0), periodDays);
+        accruedInterest = Math.max(interest * (elapsedDays / periodDays) - interestPaid, 0);
+      }
+    }
+
+    periodStart = installment.dueDate;
+  }
+
+  const payoffAmount = roundMoney(pastDue + principalOutstanding + accruedInterest);
+
+  return {
+    asOf,
+    pastDue: roundMoney(pastDue),
+    principalOutstanding: roundMoney(principalOutstanding),
+    accruedInterest: roundMoney(accruedInterest),
+    payoffAmount,
+    interestSaved: roundMoney(Math.max(scheduledRemaining - payoffAmount, 0))
+  };
+};
+
+// Cut the installments not yet due down to what settling the loan on `asOf`
+// owes: their principal, plus the interest accrued so far in the current
+// period (interest already paid is kept). Mutates the schedule; afterwards its
+// unpaid balance is the quotePayoff() amount, to the cent per installment.
+const rebateUnearnedInterest = (schedule, { asOf = new Date(), startDate } = {}) => {
+  const installments = [...schedule].sort((a, b) => a.dueDate - b.dueDate);
+  let periodStart = startDate ? new Date(startDate) : null;
+  let currentPeriodFound = false;
+
+  for (const installment of installments) {
+    if (installment.dueDate > asOf) {
+      const interest = installment.interest || 0;
+      const principal = installment.principal ?? (installment.amount - interest);
+      let earned = Math.min(installment.paidAmount || 0, interest);
+
+      if (!currentPeriodFound) {
+        currentPeriodFound = true;
+        const from = periodStart || addMonths(installment.dueDate, -1);
+        const periodDays = Math.max((installment.dueDate - from) / DAY_MS, 1);
+        const elapsedDays = Math.min(Math.max((asOf - from) / DAY_MS, 0), periodDays);
+        earned = Math.max(interest * (elapsedDays / periodDays), earned);
+      }
+
+      installment.principal = roundMoney(principal);
+      installment.interest = roundMoney(earned);
+      installment.amount = roundMoney(principal + earned);
+    }
+
+    periodStart = installment.dueDate;
+  }
+};
+
+// Rebuild the unpaid part of a schedule on new terms. Pure: returns new rows
+// and leaves `schedule` alone.
+//
+//   - Paid installments are kept as they are.
+//   - Installments already due and not fully paid are kept as Capitalized:
+//     closed at what was paid (interest first, then principal, then fees),
+//     with the rest recorded as capitalizedAmount, so their late history
+//     stays on the schedule.
+//   - Partly paid installments not yet due are closed as Paid at what was
+//     paid, so the installment ids payments point at survive.
+//   - Everything still owed is re-amortized: unpaid principal plus the unpaid
+//     interest and fees of installments already due (capitalized arrears).
+//   - The new installments run from the start of the current period, after
+//     `holidayMonths` payment-free months whose interest is capitalized, over
+//     the installments not yet due plus `extendTermBy`.
+const restructureSchedule = (schedule, {
+  asOf = new Date(),
+  startDate,
+  annualRate,
+  extendTermBy = 0,
+  holidayMonths = 0
+}) => {
+  const installments = [...schedule].sort((a, b) => a.dueDate - b.dueDate);
+  const kept = [];
+  let unpaidPrincipal = 0;
+  let arrears = 0;
+  let notYetDue = 0;
+  let periodStart = startDate ? new Date(startDate) : null;
+
+  for (const installment of installments) {
+    if (installment.dueDate <= asOf) {
+      periodStart = installment.dueDate;
+    } else {
+      notYetDue += 1;
+    }
+
+    const paid = installment.paidAmount || 0;
+    if (installment.status === 'Paid' || installmentDue(installment) - paid <= 0) {
+      kept.push({ ...installment });
+      continue;
+    }
+
+    const interest = installment.interest || 0;
+    const principal = installment.principal ?? (installment.amount - interest);
+    const lateFee = installment.lateFee || 0;
+    const penaltyInterest = installment.penaltyInterest || 0;
+
+    const interestPaid = Math.min(paid, interest);
+    const principalPaid = Math.min(paid - interestPaid, principal);
+    const feesPaid = roundMoney(paid - interestPaid - principalPaid);
+
+    const overdue = installment.dueDate <= asOf;
+    unpaidPrincipal += principal - principalPaid;
+    if (overdue) {
+      arrears += (interest - interestPaid) + (lateFee + penaltyInterest - feesPaid);
+    }
+
+    if (overdue || paid > 0) {
+      const lateFeePaid = Math.min(feesPaid, lateFee);
+      const closed = {
+        ...installment,
+        amount: roundMoney(interestPaid + principalPaid),
+        principal: roundMoney(principalPaid),
+        interest: roundMoney(interestPaid),
+        lateFee: roundMoney(lateFeePaid),
+        penaltyInterest: roundMoney(feesPaid - lateFeePaid)
+      };
+      kept.push(overdue
+        ? { ...closed, status: 'Capitalized', capitalizedAt: asOf, capitalizedAmount: roundMoney(installmentDue(installment) - paid) }
+        : { ...closed, status: 'Paid', paidDate: asOf });
+    }
+  }
+
+  const term = notYetDue + extendTermBy;
+  const rate = (annualRate || 0) / 100 / 12;
+  const principal = roundMoney(unpaidPrincipal + arrears);
+  const newPrincipal = roundMoney(principal * Math.pow(1 + rate, holidayMonths));
+  const firstPeriodStart = addMonths(periodStart || asOf, holidayMonths);
+
+  const rebuilt = term > 0
+    ? buildAmortizationSchedule({ principal: newPrincipal, annualRate, term, startDate: firstPeriodStart })
+      .map(installment => ({ ...installment, status: 'Pending' }))
+    : [];
+
+  return {
+    schedule: [...kept, ...rebuilt],
+    summary: {
+      unpaidPrincipal: roundMoney(unpaidPrincipal),
+      capitalizedArrears: roundMoney(arrears),
+      capitalizedInterest: roundMoney(newPrincipal - principal),
+      newPrincipal,
+      term,
+      installment: rebuilt[0]?.amount || 0,
+      firstDueDate: rebuilt[0]?.dueDate || null
+    }
+  };
+};
+
+module.exports = {
+  addMonths,
+  installmentDue,
+  monthlyInstallment,
+  buildAmortizationSchedule,
+  quotePayoff,
+  rebateUnearnedInterest,
+  restructureSchedule
+};
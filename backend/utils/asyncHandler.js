@@ -0,0 +1,8 @@
+// Wrap an async route handler or middleware so a rejected promise reaches the
+// error middleware instead of becoming an unhandled rejection (Express 4 does
+// not do this itself)
+const asyncHandler = fn => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,112 @@
+const { roundMoney } = require('./money');
+const { addMonths, installmentDue } = require('./amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Revolving credit line arithmetic, on a line's state (Loan.creditLine):
+//   drawnBalance     principal drawn and not yet repaid
+//   interestBalance  interest billed on statements and not yet paid
+//   accruedInterest  interest accrued since the last statement, not yet billed
+// Interest accrues daily (actual/365) on the drawn balance and is billed
+// monthly; each statement adds its minimum payment to the repayment schedule,
+// where the delinquency engine treats it like any other installment.
+
+// Accrue interest for the whole days up to `asOf`. Mutates `line`; returns
+// the interest accrued.
+const accrueInterest = (line, { annualRate, asOf }) => {
+  const days = Math.floor((asOf - line.interestAccruedThrough) / DAY_MS);
+  if (days <= 0) return 0;
+
+  const interest = roundMoney(line.drawnBalance * ((annualRate || 0) / 100 / 365) * days);
+  line.accruedInterest = roundMoney(line.accruedInterest + interest);
+  line.interestAccruedThrough = new Date(line.interestAccruedThrough.getTime() + days * DAY_MS);
+  return interest;
+};
+
+// Spread a repayment over what is owed: fees first, then billed interest,
+// accrued interest and finally the drawn balance. Mutates `line`; returns the
+// split and whatever was left over.
+const applyRepayment = (line, amount, { feesOutstanding = 0 } = {}) => {
+  let remaining = roundMoney(amount);
+  const take = (owed) => {
+    const applied = roundMoney(Math.min(remaining, Math.max(owed, 0)));
+    remaining = roundMoney(remaining - applied);
+    return applied;
+  };
+
+  const fees = take(feesOutstanding);
+  const billed = take(line.interestBalance);
+  const accrued = take(line.accruedInterest);
+  const principal = take(line.drawnBalance);
+
+  line.feesPaid = roundMoney(line.feesPaid + fees);
+  line.interestBalance = roundMoney(line.interestBalance - billed);
+  line.accruedInterest = roundMoney(line.accruedInterest - accrued);
+  line.drawnBalance = roundMoney(line.drawnBalance - principal);
+
+  return { fees, interest: roundMoney(billed + accrued), principal, unapplied: remaining };
+};
+
+// A statement's minimum payment: the interest it bills plus a share of the
+// drawn balance, at least the floor and never more than is owed
+const minimumPayment = ({ interestBilled, drawnBalance, percent, floor, owed }) =>
+  roundMoney(Math.min(owed, Math.max(floor || 0, interestBilled + drawnBalance * (percent / 100))));
+
+// Issue every statement due by `asOf`: bill the interest accrued to each
+// statement date and add its minimum payment to `schedule`, due
+// `paymentDueDays` later. Mutates `line` and `schedule`; returns the statements.
+const closeStatements = (line, schedule, { annualRate, asOf, paymentDueDays, feesOutstanding = 0 }) => {
+  const statements = [];
+
+  while (line.nextStatementDate <= asOf) {
+    const statementDate = line.nextStatementDate;
+
+    accrueInterest(line, { annualRate, asOf: statementDate });
+    const interestBilled = line.accruedInterest;
+    line.interestBalance = roundMoney(line.interestBalance + interestBilled);
+    line.accruedInterest = 0;
+
+    // Earlier minimums still unpaid stay due on their own rows
+    const alreadyDue = schedule.reduce(
+      (sum, row) => sum + Math.max(installmentDue(row) - (row.paidAmount || 0), 0), 0);
+    const balance = roundMoney(line.drawnBalance + line.interestBalance + feesOutstanding);
+    const owed = roundMoney(balance - alreadyDue);
+
+    const statement = { date: statementDate, balance, interestBilled, minimumPayment: 0, dueDate: null };
+    if (owed > 0) {
+      const amount = minimumPayment({
+        interestBilled,
+        drawnBalance: line.drawnBalance,
+        percent: line.minimumPaymentPercent,
+        floor: line.minimumPaymentFloor,
+        owed
+      });
+      const interest = Math.min(interestBilled, amount);
+
+      statement.minimumPayment = amount;
+      statement.dueDate = new Date(statementDate.getTime() + paymentDueDays * DAY_MS);
+      schedule.push({
+        dueDate: statement.dueDate,
+        amount,
+        principal: roundMoney(amount - interest),
+        interest,
+        balance: roundMoney(line.drawnBalance - (amount - interest)),
+        status: 'Pending'
+      });
+    }
+
+    // Statement dates follow the opening date, so month ends do not drift
+    line.statementsIssued += 1;
+    line.nextStatementDate = addMonths(line.openedAt, line.statementsIssued + 1);
+    statements.push(statement);
+  }
+
+  return statements;
+};
+
+module.exports = {
+  accrueInterest,
+  applyRepayment,
+  minimumPayment,
+  closeStatements
+};
@@ -0,0 +1,63 @@
+// Application errors. Throw one of these from a route, middleware or service
+// and the error middleware (middleware/errorHandler) turns it into the
+// standard error response:
+//
+//   { success: false, code, message, errors?, requestId }
+//
+//   throw new NotFoundError('Loan not found');
+//   throw new ConflictError('Loan is already approved', { code: 'LOAN_STATE' });
+//
+// `errors` is a list of { field, location, message } for field-level problems;
+// `headers` are set on the response (e.g. Retry-After); anything in `extra`
+// is added to the body as-is.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, headers, extra } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.headers = headers;
+    this.extra = extra;
+  }
+}
+
+// One subclass per status, each with a default code
+const define = (name, status, code) => {
+  const ErrorClass = class extends AppError {
+    constructor(message, options = {}) {
+      super(message, { status, code, ...options });
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+};
+
+const BadRequestError = define('BadRequestError', 400, 'BAD_REQUEST');
+const UnauthorizedError = define('UnauthorizedError', 401, 'UNAUTHORIZED');
+const ForbiddenError = define('ForbiddenError', 403, 'FORBIDDEN');
+const NotFoundError = define('NotFoundError', 404, 'NOT_FOUND');
+const ConflictError = define('ConflictError', 409, 'CONFLICT');
+const PayloadTooLargeError = define('PayloadTooLargeError', 413, 'PAYLOAD_TOO_LARGE');
+const UnsupportedMediaTypeError = define('UnsupportedMediaTypeError', 415, 'UNSUPPORTED_MEDIA_TYPE');
+const UnprocessableError = define('UnprocessableError', 422, 'UNPROCESSABLE');
+const LockedError = define('LockedError', 423, 'LOCKED');
+const TooManyRequestsError = define('TooManyRequestsError', 429, 'TOO_MANY_REQUESTS');
+const BadGatewayError = define('BadGatewayError', 502, 'BAD_GATEWAY');
+const ServiceUnavailableError = define('ServiceUnavailableError', 503, 'SERVICE_UNAVAILABLE');
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableError,
+  LockedError,
+  TooManyRequestsError,
+  BadGatewayError,
+  ServiceUnavailableError
+};
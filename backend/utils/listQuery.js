@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+// Shared page/filter/sort handling for list endpoints.
+//
+// Each endpoint describes what it allows:
+//   {
+//     filters: { status: { field: 'status', type: 'enum', values: [...] }, ... },
+//     dateField: 'createdAt',      // enables ?from=&to=
+//     amountField: 'loanAmount',   // enables ?minAmount=&maxAmount=
+//     sortFields: ['createdAt', 'loanAmount'],
+//     defaultSort: '-createdAt'
+//   }
+// and clients page with ?page=&limit=&sort=-loanAmount. Anything not
+// whitelisted is rejected rather than silently ignored.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const invalid = message => ({ error: message });
+
+const parseFilterValue = (name, spec, raw) => {
+  const value = String(raw);
+
+  switch (spec.type) {
+    case 'enum': {
+      const values = value.split(',').map(v => v.trim()).filter(Boolean);
+      const unknown = values.filter(v => !spec.values.includes(v));
+      if (!values.length || unknown.length) {
+        return invalid(`${name} must be one of: ${spec.values.join(', ')}`);
+      }
+      return { value: values.length === 1 ? values[0] : { $in: values } };
+    }
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(value)) return invalid(`Invalid ${name}`);
+      return { value };
+    case 'boolean':
+      if (!['true', 'false'].includes(value)) return invalid(`${name} must be true or false`);
+      return { value: value === 'true' };
+    default:
+      return { value };
+  }
+};
+
+const parseRange = (from, to, parse, label) => {
+  if (from === undefined && to === undefined) return {};
+
+  const range = {};
+  if (from !== undefined) range.$gte = parse(from);
+  if (to !== undefined) range.$lte = parse(to);
+
+  const bounds = Object.values(range);
+  if (bounds.some(bound => bound === null)) return invalid(`Invalid ${label} range`);
+  if (bounds.length === 2 && range.$gte > range.$lte) return invalid(`Invalid ${label} range`);
+  return { range };
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === '' || !Number.isFinite(number) ? null : number;
+};
+
+// Returns { filter, sort, page, limit, skip } or { error }
+const parse = (query, options = {}) => {
+  const {
+    filters = {},
+    dateField,
+    amountField,
+    sortFields = ['createdAt'],
+    defaultSort = '-createdAt',
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT
+  } = options;
+
+  const filter = {};
+
+  for (const [name, spec] of Object.entries(filters)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const { value, error } = parseFilterValue(name, spec, query[name]);
+    if (error) return { error };
+    filter[spec.field || name] = value;
+  }
+
+  if (dateField) {
+    const { range, error } = parseRange(query.from, query.to, toDate, 'date');
+    if (error) return { error };
+    if (range) filter[dateField] = range;
+  }
+
+  if (amountField) {
+    const { range, error } = parseRange(query.minAmount, query.maxAmount, toNumber, 'amount');
+    if (error) return { error };
+    if (range) filter[amountField] = range;
+  }
+
+  const sortParam = String(query.sort || defaultSort);
+  const sortField = sortParam.replace(/^-/, '');
+  if (!sortFields.includes(sortField)) {
+    return invalid(`sort must be one of: ${sortFields.join(', ')} (prefix with - for descending)`);
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  // _id as a tie-breaker keeps pages stable when the sort field repeats
+  const sort = { [sortField]: direction, _id: direction };
+
+  const requested = parseInt(query.limit, 10);
+  const limit = Math.min(requested > 0 ? requested : defaultLimit, maxLimit);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return { filter, sort, page, limit, skip: (page - 1) * limit };
+};
+
+// Returns { filter, sort, page, limit, skip }; throws a BadRequestError for
+// a query the spec does not allow
+const parseListQuery = (query, options) => {
+  const result = parse(query, options);
+  if (result.error) throw new BadRequestError(result.error, { code: 'INVALID_LIST_QUERY' });
+  return result;
+};
+
+// Runs the page query and the total count together. `scope` holds the
+// conditions the caller is not allowed to widen (e.g. { user: req.user._id });
+// `build` can add select/populate/lean to the find query.
+const paginate = async (Model, scope, listQuery, build = q => q) => {
+  const filter = { ...listQuery.filter, ...scope };
+
+  const [items, total] = await Promise.all([
+    build(Model.find(filter).sort(listQuery.sort).skip(listQuery.skip).limit(listQuery.limit)),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    items,
+    pagination: {
+      page: listQuery.page,
+      limit: listQuery.limit,
+      total,
+      pages: Math.ceil(total / listQuery.limit)
+    }
+  };
+};
+
+// For endpoints whose body is a bare array
+const setPaginationHeaders = (res, pagination) => {
+  res.set({
+    'X-Total-Count': String(pagination.total),
+    'X-Page': String(pagination.page),
+    'X-Page-Size': String(pagination.limit),
+    'X-Total-Pages': String(pagination.pages)
+  });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  paginate,
+  setPaginationHeaders
+};
@@ -0,0 +1,85 @@
+const config = require('../config/logging');
+const { getContext } = require('./requestContext');
+
+// Structured JSON logger: one line per entry, with the request ID of the
+// request being served (if any) attached automatically.
+//
+//   logger.error('Loan application error', { err, loanId });
+//
+// Anything whose key looks like a secret is redacted before it is written.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const threshold = LEVELS[config.level] ?? LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|signature|otp|codehash|^code$/i;
+const MAX_DEPTH = 8;
+
+const serializeError = err => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.status !== undefined && { status: err.status }),
+  stack: err.stack
+});
+
+// Copy `value` with secret-looking keys replaced. Documents, ids and dates
+// are reduced to their JSON form first.
+const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (typeof value.toJSON === 'function' && value.constructor !== Object) {
+    const json = value.toJSON();
+    return json === value ? String(value) : redact(json, depth + 1);
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SECRET_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return out;
+};
+
+// Redact secret-looking query parameters in a URL path (e.g. ?token=...)
+const redactUrl = (url = '') => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of [...params.keys()]) {
+    if (SECRET_KEY.test(key)) params.set(key, REDACTED);
+  }
+  return `${url.slice(0, queryStart)}?${params.toString()}`;
+};
+
+const write = (level, msg, fields, bindings) => {
+  if (LEVELS[level] > threshold) return;
+
+  const context = getContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...redact({ ...bindings, ...fields })
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+  error: (msg, fields) => write('error', msg, fields, bindings),
+  warn: (msg, fields) => write('warn', msg, fields, bindings),
+  info: (msg, fields) => write('info', msg, fields, bindings),
+  debug: (msg, fields) => write('debug', msg, fields, bindings),
+  // A logger that adds `extra` to every entry, e.g. { job: 'delinquency' }
+  child: extra => createLogger({ ...bindings, ...extra })
+});
+
+module.exports = createLogger();
+module.exports.redact = redact;
+module.exports.redactUrl = redactUrl;
@@ -0,0 +1,4 @@
+// Round a currency amount to cents
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
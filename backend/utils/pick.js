@@ -0,0 +1,8 @@
+// Copy the listed fields that are set on `source`, e.g. the editable fields
+// of a request body
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+module.exports = pick;
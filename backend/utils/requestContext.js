@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (request ID, client IP, authenticated actor) that code
+// far from the request - model hooks, services - can read without it being
+// passed down explicitly.
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Express middleware, mounted first: accept a sane incoming X-Request-Id or
+// generate one, and echo it back so clients can quote it
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Express middleware: run the rest of the request inside its context
+const requestContext = (req, res, next) => {
+  if (!req.id) return assignRequestId(req, res, () => requestContext(req, res, next));
+  storage.run({ requestId: req.id, ip: req.ip, actor: null }, next);
+};
+
+const getContext = () => storage.getStore() || null;
+
+// Called by authenticate once the caller is known
+const setActor = (actor) => {
+  const context = storage.getStore();
+  if (context) context.actor = actor;
+};
+
+module.exports = {
+  assignRequestId,
+  requestContext,
+  getContext,
+  setActor
+};
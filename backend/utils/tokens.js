@@ -0,0 +1,12 @@
+const jwt = require('jsonwebtoken');
+
+// Sign a short-lived access token for a user or staff member. `type` tells
+// authenticate which collection to load the principal from; `ver` must match
+// the principal's tokenVersion, so bumping it revokes outstanding tokens.
+const signAccessToken = (principal, type = 'user') => jwt.sign(
+  { id: principal._id, role: principal.role, type, ver: principal.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+);
+
+module.exports = { signAccessToken };
@@ -0,0 +1,20 @@
+const { Joi, objectId, notBelow } = require('./index');
+
+// Every report takes the same date range and lender filter
+const report = summary => ({
+  summary,
+  query: Joi.object({
+    from: Joi.date().iso(),
+    to: notBelow(Joi.date().iso(), 'from').description('Inclusive; a date without a time covers the whole day'),
+    lender: objectId()
+  })
+});
+
+module.exports = {
+  summary: report('Principal, decision rates and portfolio at risk in one call'),
+  principal: report('Disbursed and outstanding principal'),
+  decisions: report('Approval and rejection rates'),
+  portfolioAtRisk: report('PAR30 and PAR90'),
+  defaultRates: report('Default rates by purpose, employment status and lender'),
+  collections: report('Collections against expected installments per month')
+};
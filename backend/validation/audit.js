@@ -0,0 +1,25 @@
+const { listQuery } = require('./index');
+const AuditLog = require('../models/AuditLog');
+
+// Page/filter/sort options for GET /api/audit-logs (see utils/listQuery)
+const AUDIT_LOG_LIST = {
+  filters: {
+    entityType: { type: 'enum', values: ['Loan', 'User', 'Payment', 'Staff', 'KycDocument'] },
+    entityId: { type: 'objectId' },
+    actorId: { field: 'actor.id', type: 'objectId' },
+    action: { type: 'enum', values: AuditLog.schema.path('action').enumValues }
+  },
+  dateField: 'createdAt',
+  sortFields: ['createdAt'],
+  defaultSort: '-createdAt',
+  defaultLimit: 50,
+  maxLimit: 200
+};
+
+module.exports = {
+  list: {
+    summary: 'Search the audit trail, newest first',
+    list: AUDIT_LOG_LIST,
+    query: listQuery(AUDIT_LOG_LIST)
+  }
+};
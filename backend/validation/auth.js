@@ -0,0 +1,73 @@
+const { Joi, msisdn } = require('./index');
+const User = require('../models/User');
+
+const email = () => Joi.string().trim().lowercase().email().max(100);
+const otpCode = () => Joi.string().trim().pattern(/^\d{6}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be the 6-digit code you were sent' });
+const verificationTarget = Joi.object({
+  target: Joi.string().valid('phone', 'email').required()
+});
+
+module.exports = {
+  signup: {
+    summary: 'Register a borrower account',
+    body: Joi.object({
+      firstName: Joi.string().trim().max(50).required(),
+      lastName: Joi.string().trim().max(50).required(),
+      email: email().required(),
+      phone: msisdn().required(),
+      password: Joi.string().min(8).max(128).required(),
+      employmentStatus: Joi.string().valid(...User.schema.path('employmentStatus').enumValues).required(),
+      annualIncome: Joi.number().min(0).max(10000000).required()
+    })
+  },
+
+  login: {
+    summary: 'Log in as a borrower',
+    body: Joi.object({
+      email: email().required(),
+      password: Joi.string().required()
+    })
+  },
+
+  refresh: {
+    summary: 'Exchange the refresh cookie for a new access token'
+  },
+
+  logout: {
+    summary: "End this device's session"
+  },
+
+  logoutAll: {
+    summary: 'End every session and invalidate issued access tokens'
+  },
+
+  requestVerification: {
+    summary: 'Send a verification code to the phone or email on file',
+    params: verificationTarget
+  },
+
+  confirmVerification: {
+    summary: 'Confirm a phone or email verification code',
+    params: verificationTarget,
+    body: Joi.object({
+      code: otpCode().required()
+    })
+  },
+
+  forgotPassword: {
+    summary: 'Request a password reset code',
+    body: Joi.object({
+      email: email().required()
+    })
+  },
+
+  resetPassword: {
+    summary: 'Reset the password with an emailed code',
+    body: Joi.object({
+      email: email().required(),
+      code: otpCode().required(),
+      password: Joi.string().min(8).max(128).required()
+    })
+  }
+};
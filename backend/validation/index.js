@@ -0,0 +1,126 @@
+const { celebrate, Joi, Segments, Modes } = require('celebrate');
+
+// Request validation. Each route declares one schema:
+//   { summary, description, params, query, body, files, responses }
+// params/query/body are Joi object schemas; the rest documents the route in
+// the OpenAPI spec built from the same objects (see ./openapi). `files`
+// ({ field: description }) marks a multipart upload.
+
+const SEGMENTS = {
+  params: Segments.PARAMS,
+  query: Segments.QUERY,
+  body: Segments.BODY
+};
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  convert: true,
+  // Handlers only ever see the fields their schema declares
+  stripUnknown: { objects: true },
+  errors: { wrap: { label: false } }
+};
+
+const objectId = () => Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id'
+});
+
+// Lesotho numbers in international format
+const msisdn = () => Joi.string().pattern(/^\+266\d{8}$/).messages({
+  'string.pattern.base': '{{#label}} must be +266 followed by 8 digits'
+});
+
+// `schema`, which must not be below the sibling field `key` when that is given
+const notBelow = (schema, key) => schema.when(key, {
+  is: Joi.exist(),
+  then: schema.min(Joi.ref(key)).messages({
+    'date.min': `{{#label}} must not be before ${key}`,
+    'number.min': `{{#label}} must not be below ${key}`
+  })
+});
+
+const idParams = (name = 'id') => Joi.object({ [name]: objectId().required() });
+
+// Query schema matching a utils/listQuery spec, so list endpoints reject
+// unknown filters and sort fields up front
+const listQuery = (spec = {}, extra = {}) => {
+  const keys = {
+    page: Joi.number().integer().min(1).description('Page number, starting at 1'),
+    limit: Joi.number().integer().min(1)
+      .description(`Page size (default ${spec.defaultLimit || 20}, capped at ${spec.maxLimit || 100})`),
+    sort: Joi.string()
+      .valid(...(spec.sortFields || ['createdAt']).flatMap(field => [field, `-${field}`]))
+      .description(`Sort field, prefix with - for descending (default ${spec.defaultSort || '-createdAt'})`)
+  };
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    if (filter.type === 'enum') {
+      keys[name] = Joi.string()
+        .custom((value, helpers) => (
+          value.split(',').every(v => filter.values.includes(v.trim())) ? value : helpers.error('any.only')
+        ))
+        .messages({ 'any.only': `{{#label}} must be one or more of: ${filter.values.join(', ')}` })
+        .description(`One or more (comma-separated) of: ${filter.values.join(', ')}`);
+    } else if (filter.type === 'objectId') {
+      keys[name] = objectId();
+    } else if (filter.type === 'boolean') {
+      keys[name] = Joi.boolean();
+    } else {
+      keys[name] = Joi.string().trim();
+    }
+  }
+
+  if (spec.dateField) {
+    keys.from = Joi.date().iso().description(`Earliest ${spec.dateField}`);
+    keys.to = notBelow(Joi.date().iso(), 'from').description(`Latest ${spec.dateField}`);
+  }
+
+  if (spec.amountField) {
+    keys.minAmount = Joi.number().min(0);
+    keys.maxAmount = notBelow(Joi.number().min(0), 'minAmount');
+  }
+
+  return Joi.object({ ...keys, ...extra });
+};
+
+// Build the middleware for a route schema. The schema is kept on the
+// middleware so the OpenAPI generator can find it in the router stack.
+const validate = (schema) => {
+  const segments = {};
+  for (const [key, segment] of Object.entries(SEGMENTS)) {
+    if (schema[key]) segments[segment] = schema[key];
+  }
+
+  const middleware = Object.keys(segments).length
+    ? celebrate(segments, JOI_OPTIONS, { mode: Modes.FULL })
+    : (req, res, next) => next();
+
+  middleware.routeSchema = schema;
+  return middleware;
+};
+
+// Turn a celebrate error into the API's field-level error shape
+const formatValidationError = (err) => {
+  const errors = [];
+  for (const [location, joiError] of err.details) {
+    for (const detail of joiError.details) {
+      errors.push({
+        field: detail.path.join('.'),
+        location,
+        message: detail.message
+      });
+    }
+  }
+  return errors;
+};
+
+module.exports = {
+  Joi,
+  objectId,
+  msisdn,
+  notBelow,
+  idParams,
+  listQuery,
+  validate,
+  formatValidationError
+};
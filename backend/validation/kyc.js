@@ -0,0 +1,62 @@
+const { Joi, objectId, idParams, listQuery } = require('./index');
+const KycDocument = require('../models/KycDocument');
+const config = require('../config/kyc');
+
+const DOCUMENT_STATUSES = KycDocument.schema.path('status').enumValues;
+
+// Page/filter/sort options for GET /api/kyc/review-queue (see utils/listQuery)
+const REVIEW_QUEUE_LIST = {
+  filters: {
+    status: { type: 'enum', values: DOCUMENT_STATUSES },
+    documentType: { type: 'enum', values: KycDocument.DOCUMENT_TYPES },
+    user: { type: 'objectId' }
+  },
+  dateField: 'createdAt',
+  sortFields: ['createdAt'],
+  // Oldest first, so nothing waits behind newer uploads
+  defaultSort: 'createdAt'
+};
+
+module.exports = {
+  upload: {
+    summary: 'Upload a KYC document',
+    description: `Multipart form. ${config.allowedMimeTypes.join(', ')} up to ${config.maxFileSizeMb} MB; `
+      + 'the file content must match its type. The document waits in the staff review queue.',
+    responses: { 201: 'Document stored and queued for review' },
+    files: { file: 'The document' },
+    body: Joi.object({
+      documentType: Joi.string().valid(...KycDocument.DOCUMENT_TYPES).required(),
+      loanId: objectId().description('The application the document supports, if any')
+    })
+  },
+
+  myDocuments: {
+    summary: 'Your KYC documents and status'
+  },
+
+  download: {
+    summary: 'Download a KYC document',
+    description: 'Borrowers can download their own documents; staff can download any.',
+    params: idParams()
+  },
+
+  reviewQueue: {
+    summary: 'KYC documents awaiting review, oldest first',
+    description: 'Only pending documents unless a status filter is given.',
+    list: REVIEW_QUEUE_LIST,
+    query: listQuery(REVIEW_QUEUE_LIST)
+  },
+
+  review: {
+    summary: 'Approve or reject a KYC document',
+    params: idParams(),
+    body: Joi.object({
+      decision: Joi.string().valid('approve', 'reject').required(),
+      notes: Joi.string().trim().max(1000).when('decision', {
+        is: 'reject',
+        then: Joi.required(),
+        otherwise: Joi.allow('')
+      }).messages({ 'any.required': 'Notes are required when rejecting a document' })
+    })
+  }
+};
@@ -0,0 +1,46 @@
+const { Joi, idParams } = require('./index');
+
+const fields = {
+  name: Joi.string().trim().max(100),
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{2,20}$/)
+    .messages({ 'string.pattern.base': 'Lender code must be 2-20 letters, digits, dashes or underscores' }),
+  description: Joi.string().trim().allow(''),
+  contactEmail: Joi.string().trim().lowercase().email().allow(''),
+  active: Joi.boolean()
+};
+
+module.exports = {
+  list: {
+    summary: 'List lenders',
+    query: Joi.object({
+      includeInactive: Joi.boolean().description('Staff only')
+    })
+  },
+
+  get: {
+    summary: 'A single lender',
+    params: idParams()
+  },
+
+  create: {
+    summary: 'Create a lender',
+    responses: { 201: 'Lender created' },
+    body: Joi.object({
+      ...fields,
+      name: fields.name.required(),
+      code: fields.code.required()
+    })
+  },
+
+  update: {
+    summary: 'Update a lender',
+    params: idParams(),
+    body: Joi.object(fields).min(1)
+  },
+
+  deactivate: {
+    summary: 'Deactivate a lender',
+    description: 'Lenders are deactivated rather than removed because existing loans reference them.',
+    params: idParams()
+  }
+};
@@ -0,0 +1,215 @@
+const { Joi, objectId, msisdn, idParams, listQuery } = require('./index');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+
+const LOAN_STATUSES = Loan.schema.path('status').enumValues;
+const LOAN_PURPOSES = Loan.schema.path('loanPurpose').enumValues;
+const LIEN_STATUSES = Loan.schema.path('collateral').schema.path('lienStatus').enumValues;
+const PAYMENT_METHODS = Payment.schema.path('paymentMethod').enumValues;
+
+// Page/filter/sort options for GET /my-loans (see utils/listQuery)
+const MY_LOANS_LIST = {
+  filters: {
+    status: { type: 'enum', values: LOAN_STATUSES },
+    purpose: { field: 'loanPurpose', type: 'enum', values: LOAN_PURPOSES }
+  },
+  dateField: 'createdAt',
+  amountField: 'loanAmount',
+  sortFields: ['createdAt', 'loanAmount', 'loanTerm', 'interestRate', 'status'],
+  defaultSort: '-createdAt'
+};
+
+const collateralItem = Joi.object({
+  type: Joi.string().valid(...Loan.COLLATERAL_TYPES).required(),
+  description: Joi.string().trim().min(3).max(500).required(),
+  valuation: Joi.number().greater(0).required(),
+  valuationDate: Joi.date().iso().max('now').required()
+});
+
+const decision = (summary, { reasonRequired = false } = {}) => ({
+  summary,
+  params: idParams(),
+  body: Joi.object({
+    reason: reasonRequired
+      ? Joi.string().trim().max(500).required()
+      : Joi.string().trim().max(500).allow('')
+  })
+});
+
+module.exports = {
+  apply: {
+    summary: 'Apply for a loan against a loan product',
+    description: 'Requires a verified phone number and verified KYC documents (see /api/kyc). '
+      + 'Against a credit product, loanAmount is the credit limit requested.',
+    responses: { 201: 'Application recorded with its underwriting outcome' },
+    body: Joi.object({
+      productId: objectId().required()
+        .messages({ 'any.required': 'A valid loan product is required' }),
+      loanAmount: Joi.number().min(1000).max(1000000).required()
+        .messages({ 'number.min': 'Minimum loan amount is 1000' }),
+      loanPurpose: Joi.string().valid(...LOAN_PURPOSES).required(),
+      loanTerm: Joi.number().integer().min(1).max(60).required(),
+      monthlyIncome: Joi.number().min(0).required(),
+      employmentStatus: Joi.string().lowercase()
+        .valid(...Loan.schema.path('employmentStatus').enumValues).required(),
+      refinanceLoanIds: Joi.array().items(objectId()).min(1).max(10).unique()
+        .description('Active loans of yours this loan pays off when it is disbursed (refinance / debt consolidation)'),
+      collateral: Joi.array().items(collateralItem).min(1).max(10)
+        .description('Assets pledged against the loan; required by secured products, whose loan-to-value limit applies'),
+      guarantors: Joi.array().items(Joi.object({
+        phone: msisdn().required(),
+        amount: Joi.number().greater(0).description('Amount guaranteed (default: the whole loan amount)')
+      })).min(1).max(5).unique('phone')
+        .description('Registered users who guarantee the loan; each must accept before it can be approved')
+    })
+  },
+
+  myLoans: {
+    summary: "List the borrower's loans",
+    list: MY_LOANS_LIST,
+    query: listQuery(MY_LOANS_LIST)
+  },
+
+  creditReport: {
+    summary: "The borrower's credit report, rescored on every request",
+    description: 'Includes the loans the user has guaranteed for others and their exposure on them.'
+  },
+
+  guarantees: {
+    summary: 'Loans you have been asked to guarantee'
+  },
+
+  respondToGuarantee: {
+    summary: 'Accept or decline a guarantee request',
+    description: 'Only while the application is pending. When underwriting approved the application, '
+      + 'the last guarantor to accept approves it.',
+    params: idParams(),
+    body: Joi.object({
+      accept: Joi.boolean().required(),
+      reason: Joi.string().trim().max(500).allow('')
+    })
+  },
+
+  updateCollateral: {
+    summary: 'Revalue collateral or update its lien',
+    description: 'A lien can only be released once the loan is closed.',
+    params: Joi.object({
+      id: objectId().required(),
+      collateralId: objectId().required()
+    }),
+    body: Joi.object({
+      description: Joi.string().trim().min(3).max(500),
+      valuation: Joi.number().greater(0),
+      valuationDate: Joi.date().iso().max('now'),
+      lienStatus: Joi.string().valid(...LIEN_STATUSES)
+    }).min(1).and('valuation', 'valuationDate')
+  },
+
+  creditScoreHistory: {
+    summary: 'Dated credit score snapshots, newest first',
+    query: Joi.object({
+      limit: Joi.number().integer().min(1).max(100).default(24)
+    })
+  },
+
+  runDelinquency: {
+    summary: 'Run the delinquency engine now',
+    description: 'Fails with 409 while a run (scheduled or manual) is in progress.'
+  },
+
+  getLoan: {
+    summary: 'A loan with its repayment schedule',
+    params: idParams()
+  },
+
+  payoff: {
+    summary: 'Early settlement quote',
+    params: idParams(),
+    query: Joi.object({
+      date: Joi.date().iso().description('Settlement date (default today)')
+    })
+  },
+
+  recordPayment: {
+    summary: 'Record a repayment against a loan',
+    description: 'Borrowers pay their own loans; staff can record payments (e.g. cash at a branch) on any loan.',
+    responses: { 201: 'Payment recorded and allocated to installments' },
+    params: idParams(),
+    body: Joi.object({
+      amount: Joi.number().greater(0).required(),
+      // Refinance settlements are only ever created by a disbursement
+      paymentMethod: Joi.string().valid(...PAYMENT_METHODS.filter(method => method !== 'refinance')).required(),
+      reference: Joi.string().trim().min(1).max(100)
+    })
+  },
+
+  mobilePayment: {
+    summary: 'Pay a loan from a mobile wallet',
+    description: 'Returns once the collection request is with the provider; the payment is applied when the provider calls back. '
+      + 'Responds 503 when no mobile money provider is configured.',
+    responses: { 202: 'Collection request sent to the provider' },
+    params: idParams(),
+    body: Joi.object({
+      amount: Joi.number().greater(0).required(),
+      msisdn: msisdn().description("Wallet number (default: the borrower's phone)"),
+      provider: Joi.string().trim()
+    })
+  },
+
+  restructure: {
+    summary: 'Restructure a loan in hardship',
+    description: 'Extends the term, changes the rate and/or adds a payment holiday. Paid installments are kept; '
+      + 'everything still owed, including arrears, is rescheduled from the current period. '
+      + 'The replaced schedule is kept in the loan\'s schedule history.',
+    params: idParams(),
+    body: Joi.object({
+      extendTermMonths: Joi.number().integer().min(1).max(59).description('Installments to add to the remaining term; the restructured term cannot exceed 60 months'),
+      interestRate: Joi.number().min(0).max(25).description('New annual rate for the rescheduled balance'),
+      holidayMonths: Joi.number().integer().min(1).max(6)
+        .description('Payment-free months before the next installment; their interest is capitalized'),
+      reason: Joi.string().trim().min(3).max(500).required()
+    }).or('extendTermMonths', 'interestRate', 'holidayMonths')
+  },
+
+  creditLine: {
+    summary: 'Balance, available credit, minimum payment and recent movements of a credit line',
+    params: idParams(),
+    query: Joi.object({
+      transactions: Joi.number().integer().min(0).max(200).default(20).description('Recent movements to include')
+    })
+  },
+
+  draw: {
+    summary: 'Draw funds from a credit line',
+    description: 'Up to the available credit, during the draw period, while the line is not past due. '
+      + 'Credit lines are repaid through the payment endpoints like any other loan.',
+    responses: { 201: 'Funds drawn' },
+    params: idParams(),
+    body: Joi.object({
+      amount: Joi.number().greater(0).required(),
+      description: Joi.string().trim().max(200)
+    })
+  },
+
+  scheduleHistory: {
+    summary: 'Earlier repayment schedules of a restructured loan',
+    params: idParams()
+  },
+
+  approve: {
+    ...decision('Approve a pending loan'),
+    description: 'Every guarantor on the loan must have accepted.'
+  },
+  reject: decision('Reject a loan', { reasonRequired: true }),
+  disburse: {
+    ...decision('Disburse an approved loan; the schedule restarts from today'),
+    description: 'For a refinance, the loans it replaces are paid off at their payoff amount today and '
+      + 'completed, and only the rest of the loan amount is disbursed, all in one transaction. '
+      + 'A credit line is opened instead, with nothing drawn.'
+  },
+  close: {
+    ...decision('Close a loan as completed'),
+    description: 'Only a loan with no outstanding balance can be closed.'
+  },
+  markDefault: decision('Mark a loan as defaulted', { reasonRequired: true })
+};
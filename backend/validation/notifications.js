@@ -0,0 +1,61 @@
+const { Joi, idParams, listQuery } = require('./index');
+const Notification = require('../models/Notification');
+
+// Page/filter/sort options for the inbox and delivery log (see utils/listQuery)
+const INBOX_LIST = {
+  dateField: 'createdAt',
+  sortFields: ['createdAt'],
+  defaultSort: '-createdAt'
+};
+
+const DELIVERY_LOG_LIST = {
+  filters: {
+    status: { type: 'enum', values: Notification.schema.path('status').enumValues },
+    channel: { type: 'enum', values: ['sms', 'email'] },
+    template: { type: 'string' },
+    user: { type: 'objectId' }
+  },
+  dateField: 'createdAt',
+  sortFields: ['createdAt', 'sentAt', 'attempts'],
+  defaultSort: '-createdAt',
+  defaultLimit: 50
+};
+
+module.exports = {
+  inbox: {
+    summary: "The borrower's in-app notifications",
+    list: INBOX_LIST,
+    query: listQuery(INBOX_LIST, {
+      unread: Joi.boolean().description('Only unread notifications')
+    })
+  },
+
+  readAll: {
+    summary: 'Mark every in-app notification as read'
+  },
+
+  getPreferences: {
+    summary: 'Notification preferences'
+  },
+
+  updatePreferences: {
+    summary: 'Update notification preferences',
+    body: Joi.object({
+      sms: Joi.boolean(),
+      email: Joi.boolean(),
+      inApp: Joi.boolean(),
+      reminderDaysBefore: Joi.number().integer().min(0).max(14)
+    }).min(1)
+  },
+
+  deliveries: {
+    summary: 'SMS and email delivery log',
+    list: DELIVERY_LOG_LIST,
+    query: listQuery(DELIVERY_LOG_LIST)
+  },
+
+  markRead: {
+    summary: 'Mark a notification as read',
+    params: idParams()
+  }
+};
@@ -0,0 +1,250 @@
+const authenticate = require('../middleware/authenticate');
+const idempotency = require('../middleware/idempotency');
+const { version } = require('../package.json');
+
+// Builds the OpenAPI document from the routers themselves: paths and methods
+// from the Express route table, inputs from each route's validate() schema,
+// and security from the authenticate/authorize middleware in its stack.
+
+const ruleArg = (description, name, arg = 'limit') => {
+  const rule = (description.rules || []).find(r => r.name === name);
+  const value = rule?.args?.[arg];
+  // Limits that point at another field (Joi.ref) have no static value
+  return value !== undefined && typeof value !== 'object' ? value : undefined;
+};
+
+const hasRule = (description, name) => (description.rules || []).some(r => r.name === name);
+
+// Convert a Joi description (schema.describe()) to an OpenAPI schema object
+const toOpenApi = (description) => {
+  const flags = description.flags || {};
+  let schema;
+
+  switch (description.type) {
+    case 'object': {
+      const properties = {};
+      const required = [];
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        properties[key] = toOpenApi(child);
+        if (child.flags?.presence === 'required') required.push(key);
+      }
+      schema = { type: 'object', properties };
+      if (required.length) schema.required = required;
+      break;
+    }
+    case 'array':
+      schema = { type: 'array', items: description.items?.length ? toOpenApi(description.items[0]) : {} };
+      if (ruleArg(description, 'min') !== undefined) schema.minItems = ruleArg(description, 'min');
+      if (ruleArg(description, 'max') !== undefined) schema.maxItems = ruleArg(description, 'max');
+      if (hasRule(description, 'unique')) schema.uniqueItems = true;
+      break;
+    case 'number':
+      schema = { type: hasRule(description, 'integer') ? 'integer' : 'number' };
+      if (ruleArg(description, 'min') !== undefined) schema.minimum = ruleArg(description, 'min');
+      if (ruleArg(description, 'max') !== undefined) schema.maximum = ruleArg(description, 'max');
+      if (ruleArg(description, 'greater') !== undefined) {
+        schema.minimum = ruleArg(description, 'greater');
+        schema.exclusiveMinimum = true;
+      }
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'string': {
+      schema = { type: 'string' };
+      const pattern = (description.rules || []).find(r => r.name === 'pattern');
+      if (hasRule(description, 'email')) schema.format = 'email';
+      if (hasRule(description, 'hex') && ruleArg(description, 'length') === 24) {
+        schema.pattern = '^[0-9a-fA-F]{24}$';
+      } else if (pattern) {
+        schema.pattern = pattern.args.regex.replace(/^\/|\/[gimsuy]*$/g, '');
+      }
+      if (ruleArg(description, 'min') !== undefined) schema.minLength = ruleArg(description, 'min');
+      if (ruleArg(description, 'max') !== undefined) schema.maxLength = ruleArg(description, 'max');
+      if (ruleArg(description, 'length') !== undefined && !schema.pattern) {
+        schema.minLength = ruleArg(description, 'length');
+        schema.maxLength = ruleArg(description, 'length');
+      }
+      break;
+    }
+    default:
+      schema = {};
+  }
+
+  if (flags.only && description.allow) {
+    schema.enum = description.allow.filter(value => value !== null && value !== '');
+  }
+  if (description.allow?.includes(null)) schema.nullable = true;
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+
+  return schema;
+};
+
+const toParameters = (joiSchema, location) => {
+  if (!joiSchema) return [];
+  const { properties, required = [] } = toOpenApi(joiSchema.describe());
+
+  return Object.entries(properties).map(([name, schema]) => {
+    const { description, ...rest } = schema;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description && { description }),
+      schema: rest
+    };
+  });
+};
+
+// '/:id/payments' -> '/{id}/payments'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+// `inherited` holds middleware added with router.use() ahead of the route
+const describeRoute = (route, tag, inherited) => {
+  const handles = [...inherited, ...route.stack.map(layer => layer.handle)];
+  const schema = handles.find(handle => handle.routeSchema)?.routeSchema || {};
+  const secured = handles.includes(authenticate);
+  const roles = handles.find(handle => handle.roles)?.roles;
+
+  const parameters = [
+    ...toParameters(schema.params, 'path'),
+    ...toParameters(schema.query, 'query')
+  ];
+  if (handles.includes(idempotency)) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Replays the stored response when a request is retried with the same key',
+      schema: { type: 'string', maxLength: 255 }
+    });
+  }
+
+  const successStatus = Object.keys(schema.responses || {})[0] || '200';
+  const responses = {
+    [successStatus]: { description: schema.responses?.[successStatus] || 'Success' }
+  };
+  if (schema.params || schema.query || schema.body) {
+    responses[400] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (schema.params) {
+    responses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (secured) {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    if (roles) responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+
+  const body = schema.body && toOpenApi(schema.body.describe());
+  // Multipart uploads carry their files alongside the body fields
+  if (body && schema.files) {
+    for (const [field, description] of Object.entries(schema.files)) {
+      body.properties[field] = { type: 'string', format: 'binary', description };
+      body.required = [...(body.required || []), field];
+    }
+  }
+  const descriptionParts = [schema.description, roles && `Roles: ${roles.join(', ')}.`].filter(Boolean);
+
+  return {
+    tags: [tag],
+    ...(schema.summary && { summary: schema.summary }),
+    ...(descriptionParts.length && { description: descriptionParts.join('\n\n') }),
+    ...(parameters.length && { parameters }),
+    ...(body && {
+      requestBody: {
+        required: Boolean(body.required),
+        content: { [schema.files ? 'multipart/form-data' : 'application/json']: { schema: body } }
+      }
+    }),
+    responses,
+    ...(secured && { security: [{ bearerAuth: [] }] })
+  };
+};
+
+// `mounts` is a list of [prefix, router, tag]
+const buildOpenApiSpec = (mounts) => {
+  const paths = {};
+
+  for (const [prefix, router, tag] of mounts) {
+    const inherited = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        inherited.push(layer.handle);
+        continue;
+      }
+      const path = toOpenApiPath(`${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+      paths[path] = paths[path] || {};
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path][method] = describeRoute(layer.route, tag, inherited);
+      }
+    }
+  }
+
+  const errorBody = {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. NOT_FOUND' },
+      message: { type: 'string' },
+      requestId: { type: 'string', description: 'Matches the X-Request-Id response header' }
+    }
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Credit App API',
+      version
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: errorBody,
+        ValidationError: {
+          type: 'object',
+          properties: {
+            ...errorBody.properties,
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        ValidationError: {
+          description: 'Request failed validation',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        Unauthorized: {
+          description: 'Missing, invalid or revoked access token',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        Forbidden: {
+          description: 'Signed in, but not allowed to do this',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        NotFound: {
+          description: 'No such resource, or not visible to the caller',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = { buildOpenApiSpec, toOpenApi };
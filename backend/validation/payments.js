@@ -0,0 +1,43 @@
+const { Joi, listQuery, objectId } = require('./index');
+const Payment = require('../models/Payment');
+
+// Page/filter/sort options for GET /payment-history (see utils/listQuery)
+const PAYMENT_HISTORY_LIST = {
+  filters: {
+    status: { type: 'enum', values: Payment.schema.path('status').enumValues },
+    method: { field: 'paymentMethod', type: 'enum', values: Payment.schema.path('paymentMethod').enumValues },
+    loan: { type: 'objectId' }
+  },
+  dateField: 'paymentDate',
+  amountField: 'amount',
+  sortFields: ['paymentDate', 'amount', 'status'],
+  defaultSort: '-paymentDate'
+};
+
+module.exports = {
+  paymentHistory: {
+    summary: "The borrower's payments",
+    description: 'The body is a bare array; paging details are in the X-Total-Count, X-Page, X-Page-Size and X-Total-Pages headers.',
+    list: PAYMENT_HISTORY_LIST,
+    query: listQuery(PAYMENT_HISTORY_LIST)
+  },
+
+  getPayment: {
+    summary: 'A single payment, e.g. to poll a pending mobile money payment',
+    params: Joi.object({ id: objectId().required() })
+  },
+
+  webhook: {
+    summary: 'Payment provider callback',
+    description: 'Not authenticated with a JWT; each provider verifies its own signature over the raw body.',
+    params: Joi.object({ provider: Joi.string().trim().required() })
+  },
+
+  simulate: {
+    summary: 'Complete or fail a pending simulator payment (non-production only)',
+    params: Joi.object({
+      id: objectId().required(),
+      outcome: Joi.string().valid('complete', 'fail').required()
+    })
+  }
+};
@@ -0,0 +1,71 @@
+const { Joi, objectId, notBelow, idParams } = require('./index');
+const LoanProduct = require('../models/LoanProduct');
+
+const fields = {
+  lender: objectId(),
+  name: Joi.string().trim().max(100),
+  code: Joi.string().trim().uppercase().max(30),
+  description: Joi.string().trim().allow(''),
+  loanType: Joi.string().valid('Term', 'Credit')
+    .description('Credit products open revolving credit lines; the amount is the credit limit'),
+  minimumPaymentPercent: Joi.number().min(1).max(100)
+    .description('Credit lines: share of the drawn balance due each month on top of the interest'),
+  minimumPaymentFloor: Joi.number().min(0).description('Credit lines: smallest minimum payment'),
+  minAmount: Joi.number().min(1000).max(1000000),
+  maxAmount: Joi.number().min(1000).max(1000000),
+  minTerm: Joi.number().integer().min(1).max(60),
+  maxTerm: Joi.number().integer().min(1).max(60),
+  interestRate: Joi.number().min(0).max(25),
+  maxLtv: Joi.number().min(1).max(100).allow(null)
+    .description('Maximum loan-to-value (%) for a secured product; collateral is required when set'),
+  allowedPurposes: Joi.array().items(Joi.string().valid(...LoanProduct.LOAN_PURPOSES)).min(1).unique(),
+  active: Joi.boolean()
+};
+
+module.exports = {
+  list: {
+    summary: 'List loan products',
+    query: Joi.object({
+      lender: objectId(),
+      purpose: Joi.string().valid(...LoanProduct.LOAN_PURPOSES),
+      loanType: Joi.string().valid('Term', 'Credit'),
+      includeInactive: Joi.boolean().description('Staff only')
+    })
+  },
+
+  get: {
+    summary: 'A single loan product',
+    description: 'Inactive products, and products of inactive lenders, are only visible to staff.',
+    params: idParams()
+  },
+
+  create: {
+    summary: 'Create a loan product',
+    responses: { 201: 'Product created' },
+    body: Joi.object({
+      ...fields,
+      lender: fields.lender.required(),
+      name: fields.name.required(),
+      code: fields.code.required(),
+      minAmount: fields.minAmount.required(),
+      maxAmount: notBelow(fields.maxAmount, 'minAmount').required(),
+      minTerm: fields.minTerm.required(),
+      maxTerm: notBelow(fields.maxTerm, 'minTerm').required(),
+      interestRate: fields.interestRate.required(),
+      allowedPurposes: fields.allowedPurposes.required(),
+      minimumPaymentPercent: fields.minimumPaymentPercent.when('loanType', { is: 'Credit', then: Joi.required() })
+    })
+  },
+
+  update: {
+    summary: 'Update a loan product',
+    description: 'Pricing changes apply to new applications; existing loans keep the rate they were priced at.',
+    params: idParams(),
+    body: Joi.object(fields).min(1)
+  },
+
+  deactivate: {
+    summary: 'Deactivate a loan product',
+    params: idParams()
+  }
+};
@@ -0,0 +1,62 @@
+const { Joi, idParams, listQuery } = require('./index');
+const Staff = require('../models/Staff');
+
+const STAFF_ROLES = Staff.schema.path('role').enumValues;
+
+// Page/filter/sort options for GET /api/staff (see utils/listQuery)
+const STAFF_LIST = {
+  filters: {
+    role: { type: 'enum', values: STAFF_ROLES },
+    active: { type: 'boolean' }
+  },
+  dateField: 'createdAt',
+  sortFields: ['fullName', 'employeeId', 'createdAt', 'lastLoginAt'],
+  defaultSort: 'fullName'
+};
+
+module.exports = {
+  login: {
+    summary: 'Log in as a staff member',
+    body: Joi.object({
+      email: Joi.string().trim().lowercase().email().required(),
+      password: Joi.string().required()
+    })
+  },
+
+  me: {
+    summary: 'The signed-in staff member'
+  },
+
+  list: {
+    summary: 'List staff accounts',
+    list: STAFF_LIST,
+    query: listQuery(STAFF_LIST)
+  },
+
+  create: {
+    summary: 'Create a staff account',
+    responses: { 201: 'Staff member created' },
+    body: Joi.object({
+      fullName: Joi.string().trim().max(100).required(),
+      employeeId: Joi.string().trim().max(50).required(),
+      email: Joi.string().trim().lowercase().email().required(),
+      password: Joi.string().min(8).max(128).required(),
+      role: Joi.string().valid(...STAFF_ROLES).default('officer')
+    })
+  },
+
+  update: {
+    summary: 'Change a staff role or (de)activate the account',
+    description: 'Deactivating a staff member also ends all of their sessions.',
+    params: idParams(),
+    body: Joi.object({
+      role: Joi.string().valid(...STAFF_ROLES),
+      active: Joi.boolean()
+    }).min(1)
+  },
+
+  unlock: {
+    summary: 'Lift a failed-login lock on a staff account',
+    params: idParams()
+  }
+};
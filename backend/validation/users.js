@@ -0,0 +1,8 @@
+const { idParams } = require('./index');
+
+module.exports = {
+  unlock: {
+    summary: 'Lift a failed-login lock on a borrower account',
+    params: idParams()
+  }
+};